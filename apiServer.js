@@ -0,0 +1,305 @@
+const http = require('http');
+const { createClient } = require('./client');
+const ResponseCache = require('./responseCache');
+const { getExporter, listFormats } = require('./exporters');
+const { InvalidQueryError, RaClientError, RateLimitedError, TimeoutError } = require('./errors');
+
+const DEFAULT_PORT = 8080;
+const EVENT_PARAMS = ['area', 'artist', 'venue', 'promoter', 'genre', 'from', 'to', 'dates', 'tz', 'past', 'pages', 'maxEvents', 'details'];
+const GENRE_PARAMS = ['area', 'from', 'to', 'dates', 'tz'];
+const CONTENT_TYPES = {
+    json: 'application/json; charset=utf-8',
+    ndjson: 'application/x-ndjson; charset=utf-8',
+    csv: 'text/csv; charset=utf-8',
+    ics: 'text/calendar; charset=utf-8'
+};
+
+class RequestError extends Error {
+    /**
+     * An error in the request itself, answered with its status code.
+     * @param {number} status - The HTTP status code.
+     * @param {string} message - The error message.
+     */
+    constructor(status, message) {
+        super(message);
+        this.name = 'RequestError';
+        this.status = status;
+    }
+}
+
+/**
+ * Read the values of a list parameter, which may be repeated or comma-separated (?artist=1013,44361).
+ * @param {URLSearchParams} params - The query string.
+ * @param {string} name - The parameter name.
+ * @returns {Array<string>} The values.
+ */
+function listParam(params, name) {
+    return params.getAll(name).flatMap(value => value.split(',')).map(value => value.trim()).filter(value => value.length > 0);
+}
+
+/**
+ * Read an integer parameter.
+ * @param {URLSearchParams} params - The query string.
+ * @param {string} name - The parameter name.
+ * @returns {number|undefined} The value, or undefined if it isn't given.
+ * @throws {RequestError} If the value isn't a number.
+ */
+function intParam(params, name) {
+    if (!params.has(name)) {
+        return undefined;
+    }
+    const value = parseInt(params.get(name));
+    if (isNaN(value)) {
+        throw new RequestError(400, `Parameter "${name}" must be a number, got "${params.get(name)}"`);
+    }
+    return value;
+}
+
+/**
+ * Read a boolean parameter: "?details", "?details=true" and "?details=1" are true.
+ * @param {URLSearchParams} params - The query string.
+ * @param {string} name - The parameter name.
+ * @returns {boolean} The value.
+ */
+function boolParam(params, name) {
+    return params.has(name) && ['', 'true', '1', 'yes'].includes(params.get(name).toLowerCase());
+}
+
+/**
+ * Read a date parameter. A "+" in a query string decodes to a space, so "+30d" arrives as " 30d"; put it back.
+ * @param {URLSearchParams} params - The query string.
+ * @param {string} name - The parameter name.
+ * @returns {string|undefined} The value, or undefined if it isn't given.
+ */
+function dateParam(params, name) {
+    const value = params.get(name);
+    return value ? value.replace(/^ (?=\d)/, '+') : undefined;
+}
+
+/**
+ * Turn the query string of an events request into a client query.
+ * @param {URLSearchParams} params - The query string.
+ * @param {Array<string>} allowed - The parameters the endpoint takes.
+ * @returns {Object} The query, see RaClient.events().
+ * @throws {RequestError} If a parameter is unknown or invalid.
+ */
+function parseQuery(params, allowed) {
+    for (const name of params.keys()) {
+        if (!allowed.includes(name) && name !== 'format') {
+            throw new RequestError(400, `Unknown parameter "${name}". Parameters: ${allowed.join(', ')}, format`);
+        }
+    }
+
+    const pages = params.get('pages');
+    return {
+        areas: listParam(params, 'area'),
+        artists: listParam(params, 'artist'),
+        venue: intParam(params, 'venue'),
+        promoter: intParam(params, 'promoter'),
+        genres: listParam(params, 'genre'),
+        from: dateParam(params, 'from'),
+        to: dateParam(params, 'to'),
+        dates: dateParam(params, 'dates'),
+        timeZone: params.get('tz') || undefined,
+        past: boolParam(params, 'past'),
+        maxPages: pages === 'all' ? Infinity : (intParam(params, 'pages') || 1),
+        maxEvents: intParam(params, 'maxEvents') || Infinity,
+        details: boolParam(params, 'details')
+    };
+}
+
+/**
+ * Build the cache key of a query, the same for every way of writing it.
+ * @param {string} endpoint - The endpoint name.
+ * @param {Object} query - The parsed query.
+ * @returns {string} The cache key.
+ */
+function cacheKey(endpoint, query) {
+    const sorted = Object.keys(query).sort().reduce((result, key) => {
+        const value = query[key];
+        if (value !== undefined && !(Array.isArray(value) && value.length === 0)) {
+            result[key] = Array.isArray(value) ? [...value].sort() : value;
+        }
+        return result;
+    }, {});
+    // JSON has no Infinity, so spell it out to keep "all pages" apart from the default
+    return `${endpoint}:${JSON.stringify(sorted, (key, value) => (value === Infinity ? 'all' : value))}`;
+}
+
+/**
+ * Work out the HTTP status for an error.
+ * Bad queries (unknown areas, unrecognized dates, ...) are the caller's fault; RA.co failures are a bad gateway,
+ * or a gateway timeout, or "try again later" when RA.co rate limits us. Anything else is a bug on our side.
+ * @param {Error} error - The error.
+ * @returns {number} The HTTP status code.
+ */
+function errorStatus(error) {
+    if (error instanceof RequestError) return error.status;
+    if (error instanceof InvalidQueryError) return 400;
+    if (error instanceof RateLimitedError) return 503;
+    if (error instanceof TimeoutError) return 504;
+    if (error instanceof RaClientError) return 502;
+    return 500;
+}
+
+/**
+ * Turn an error message into text that can go in a header: printable ASCII only, without double quotes.
+ * Node refuses to send headers with line breaks or characters outside Latin-1.
+ * @param {string} message - The error message.
+ * @returns {string} The header text.
+ */
+function headerText(message) {
+    return String(message).replace(/[^\x20-\x7e]+/g, ' ').replace(/"/g, '\'').replace(/ +/g, ' ').trim();
+}
+
+/**
+ * Find the export format for a request path such as "/events.ics".
+ * @param {string} extension - The path extension, e.g. ".ics", or "" for none.
+ * @param {string} format - The ?format= parameter, if any.
+ * @returns {string} The format name.
+ * @throws {RequestError} If the format isn't known.
+ */
+function resolveFormat(extension, format) {
+    if (format) {
+        if (!listFormats().includes(format)) {
+            throw new RequestError(400, `Unknown format "${format}". Formats: ${listFormats().join(', ')}`);
+        }
+        return format;
+    }
+    if (!extension) {
+        return 'json';
+    }
+    const match = listFormats().find(name => getExporter(name).extensions.includes(extension));
+    if (!match) {
+        throw new RequestError(404, `Unknown format "${extension}". Formats: ${listFormats().join(', ')}`);
+    }
+    return match;
+}
+
+/**
+ * Create an HTTP server that answers event queries as JSON, NDJSON, CSV or iCalendar, for dashboards and
+ * calendar apps. Results are cached, so repeated requests for the same query don't each go to RA.co; when RA.co
+ * fails, an expired cached result is served if there is one.
+ *
+ *     GET /events?area=13&from=2025-09-01&to=2025-09-07   output document ({metadata, events}) as JSON
+ *     GET /events.ics?artist=1013,44361&dates=+30d        the same query in another format (.ndjson, .csv, .ics)
+ *     GET /genres?area=13                                 the genres of an area, with event counts
+ *     GET /health                                         {"ok": true}
+ *
+ * @param {Object} options - Server options.
+ * @param {RaClient} options.client - The client to fetch with. (default: a new client)
+ * @param {ResponseCache} options.cache - The result cache. (default: in memory, 5 minute TTL)
+ * @param {Object} options.logger - Where request lines go, an object with log() and warn(). (default: silent)
+ * @param {boolean} options.cors - Whether to allow requests from any origin, for browser dashboards. (default: true)
+ * @returns {http.Server} The server, not yet listening.
+ */
+function createApiServer({ client = createClient(), cache = new ResponseCache(), logger = null, cors = true } = {}) {
+    const endpoints = {
+        events: {
+            params: EVENT_PARAMS,
+            fetch: query => client.fetchAll(query).then(({ metadata, events }) => ({ metadata, events }))
+        },
+        genres: {
+            params: GENRE_PARAMS,
+            fetch: (query) => {
+                if (query.areas.length !== 1) {
+                    throw new RequestError(400, 'Parameter "area" is required, with a single area');
+                }
+                const { from, to, dates, timeZone } = query;
+                return client.genres({ area: query.areas[0], from, to, dates, timeZone });
+            }
+        }
+    };
+
+    return http.createServer(async (req, res) => {
+        const started = Date.now();
+        const url = new URL(req.url, 'http://localhost');
+        const corsHeaders = cors ? { 'Access-Control-Allow-Origin': '*' } : {};
+        let headers = { ...corsHeaders };
+        let status = 200;
+        let cacheStatus = '-';
+
+        const send = (body, contentType) => {
+            res.writeHead(status, { ...headers, 'Content-Type': contentType });
+            res.end(body);
+        };
+
+        try {
+            const [, name, extension = ''] = url.pathname.match(/^\/([a-z]+)(\.[a-z]+)?\/?$/) || [];
+            if (name === 'health') {
+                send(JSON.stringify({ ok: true }), CONTENT_TYPES.json);
+                return;
+            }
+            const endpoint = endpoints[name];
+            if (!endpoint || (name === 'genres' && extension)) {
+                throw new RequestError(404, `Not found: ${url.pathname}. Endpoints: /events, /events.<format>, /genres, /health`);
+            }
+            if (req.method !== 'GET') {
+                throw new RequestError(405, 'Only GET requests are supported');
+            }
+
+            const format = name === 'events' ? resolveFormat(extension, url.searchParams.get('format')) : 'json';
+            const query = parseQuery(url.searchParams, endpoint.params);
+            const result = await cache.get(cacheKey(name, query), () => endpoint.fetch(query));
+
+            cacheStatus = result.status;
+            const age = Math.floor((Date.now() - result.storedAt) / 1000);
+            Object.assign(headers, {
+                'X-Cache': result.status,
+                'Age': String(age),
+                'Cache-Control': `max-age=${Math.max(0, Math.floor(cache.ttl / 1000) - age)}`
+            });
+            if (result.status === 'STALE') {
+                headers.Warning = `110 - "Response is stale: ${headerText(result.error.message)}"`;
+            }
+
+            if (name === 'genres') {
+                send(JSON.stringify(result.value, null, 2), CONTENT_TYPES.json);
+            } else {
+                send(getExporter(format).serialize(result.value), CONTENT_TYPES[format] || 'application/octet-stream');
+            }
+        } catch (error) {
+            status = errorStatus(error);
+            // Start over with the headers: the ones set for the response may be what failed to send
+            headers = { ...corsHeaders };
+            if (status === 405) {
+                headers.Allow = 'GET';
+            }
+            if (error instanceof RateLimitedError && error.retryAfter) {
+                headers['Retry-After'] = String(Math.ceil(error.retryAfter / 1000));
+            }
+            if (status >= 500 && logger) {
+                logger.warn(`Error answering ${req.url}: ${error.message}`);
+            }
+            send(JSON.stringify({ error: { status, message: error.message } }), CONTENT_TYPES.json);
+        } finally {
+            if (logger) {
+                logger.log(`${req.method} ${req.url} ${status} ${cacheStatus} ${Date.now() - started}ms`);
+            }
+        }
+    });
+}
+
+/**
+ * Start an API server on a port.
+ * @param {Object} options - Server options, see createApiServer().
+ * @param {number} port - The port to listen on; 0 picks a free one. (default: 8080)
+ * @param {string} host - The interface to listen on. (default: "127.0.0.1", local requests only)
+ * @returns {Promise<{server: http.Server, url: string}>} The listening server and its base URL.
+ */
+function startApiServer(options = {}, port = DEFAULT_PORT, host = '127.0.0.1') {
+    const server = createApiServer(options);
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            resolve({ server, url: `http://${host}:${server.address().port}` });
+        });
+    });
+}
+
+module.exports = {
+    createApiServer,
+    startApiServer,
+    DEFAULT_PORT
+};
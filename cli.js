@@ -0,0 +1,592 @@
+const fs = require('fs');
+const { Command, Option, InvalidArgumentError } = require('commander');
+const { createClient } = require('./client');
+const { createRecordingTransport } = require('./recorder');
+const { RaClientError, BadRequestError, SchemaChangedError } = require('./errors');
+const { getExporter, inferFormat, listFormats, writeOutput } = require('./exporters');
+const EventStore = require('./eventStore');
+const { DEFAULT_STORE_FILE } = EventStore;
+const Watcher = require('./watcher');
+const TemplateDoctor = require('./templateDoctor');
+const { loadConfig, getProfile } = require('./profiles');
+const { WINDOW_NAMES } = require('./dates');
+const ResponseCache = require('./responseCache');
+const { startApiServer, DEFAULT_PORT } = require('./apiServer');
+const { DEFAULT_FIELDS, FIELD_NAMES, SORT_ORDERS, parseFields, sortEvents, formatTable } = require('./eventTable');
+const { WebhookNotifier, CommandNotifier, FileNotifier } = require('./notifiers');
+
+/**
+ * Parse a count option such as --max-events.
+ * @param {string} value - The option value.
+ * @returns {number} The count.
+ * @throws {InvalidArgumentError} If the value isn't a positive whole number.
+ */
+function parseCount(value) {
+    if (!/^\d+$/.test(value.trim()) || parseInt(value) === 0) {
+        throw new InvalidArgumentError('Expected a positive whole number.');
+    }
+    return parseInt(value);
+}
+
+/**
+ * Parse the --pages option.
+ * @param {string} value - A page count or "all".
+ * @returns {number} The page count (Infinity for "all").
+ * @throws {InvalidArgumentError} If the value is neither a positive whole number nor "all".
+ */
+function parsePages(value) {
+    if (value.trim() === 'all') {
+        return Infinity;
+    }
+    if (!/^\d+$/.test(value.trim()) || parseInt(value) === 0) {
+        throw new InvalidArgumentError('Expected a number of pages, or "all".');
+    }
+    return parseInt(value);
+}
+
+/**
+ * Parse a numeric RA.co ID option such as --venue or --promoter.
+ * @param {string} value - The option value.
+ * @returns {number} The ID.
+ * @throws {InvalidArgumentError} If the value isn't a positive whole number.
+ */
+function parseId(value) {
+    if (!/^\d+$/.test(value.trim()) || parseInt(value) === 0) {
+        throw new InvalidArgumentError('Expected a numeric ID.');
+    }
+    return parseInt(value);
+}
+
+/**
+ * Split a comma-separated option value into a list.
+ * @param {string|Array} value - The option value (e.g. "1013, 44361"), or a list of them from a config file.
+ * @returns {Array<string>} The trimmed, non-empty items.
+ */
+function parseList(value) {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+    return [].concat(value).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(item => item.length > 0);
+}
+
+/**
+ * Print search candidates, one per line.
+ * @param {Array} candidates - Candidates as returned by IdResolver.search().
+ */
+function printCandidates(candidates) {
+    if (candidates.length === 0) {
+        console.log('No matches found.');
+        return;
+    }
+
+    for (const candidate of candidates) {
+        const country = candidate.country ? ` (${candidate.country})` : '';
+        const url = candidate.contentUrl ? `  https://ra.co${candidate.contentUrl}` : '';
+        console.log(`${String(candidate.id).padEnd(8)} ${candidate.name}${country}${url}`);
+    }
+}
+
+/**
+ * Add the options shared by every command that runs an event query.
+ * @param {Command} command - The command to add the options to.
+ * @returns {Command} The same command.
+ */
+function addQueryOptions(command) {
+    return command
+        .option('-r, --area <areas>', 'The area(s) to filter events (optional). Can be an area ID, a name or an RA.co URL/slug (e.g. "nl/utrecht"), or a comma-separated list of them.')
+        .option('-a, --artist <artists>', 'The artist(s) to filter events (optional). Can be an artist ID, a name or an RA.co URL/slug, or a comma-separated list of them.')
+        .addOption(new Option('-v, --venue <id>', 'The venue (club) ID to filter events (optional).').argParser(parseId).conflicts('promoter'))
+        .option('-m, --promoter <id>', 'The promoter ID to filter events (optional).', parseId)
+        .option('-g, --genre <genres>', 'Genre(s) to filter area events by (optional), comma-separated (e.g. "techno,house"). See the genres command for values.')
+        .option('-p, --pages <number>', 'Number of pages to fetch, or "all" for every page (default: 1).', parsePages)
+        .option('-n, --max-events <number>', 'Maximum number of events to fetch (per artist for multi-artist queries).', parseCount)
+        .option('-gte, --gte <date>', 'Start date for events (format: YYYY-MM-DD, "today", "tomorrow" or an offset like "+7d", default: today).')
+        .option('-lte, --lte <date>', 'End date for events (format: YYYY-MM-DD, "today", "tomorrow" or an offset like "+30d", optional).')
+        .option('--dates <window>', `A date window for the dates not given by --gte/--lte: ${WINDOW_NAMES.join(', ')}, a span like "next 14 days", an offset like "+30d" or a range like "today..+2w".`)
+        .option('--tz <timezone>', 'The timezone "today" and other relative dates are worked out in, e.g. "Australia/Sydney" (default: the area\'s timezone, else this machine\'s).')
+        .option('--past', 'List past events instead, newest first (artist, venue and promoter listings). --lte defaults to now and --gte to none; use --pages all for the full history.')
+        .option('-d, --details', 'Fetch the full detail (lineup, ticket tiers, genres, description) of each event. Runs one extra request per event.')
+        .option('--retries <number>', 'Number of times to retry a failed request (default: 3).', parseInt)
+        .option('--timeout <ms>', 'Per-request timeout in milliseconds (default: 15000).', parseInt)
+        .option('--rate <number>', 'Maximum requests per second (default: 1).', parseFloat)
+        .option('--record <dir>', 'Save every GraphQL request/response pair to this directory, for replaying with mockServer.js.');
+}
+
+/**
+ * Create a client that applies the CLI request options and logs progress to the console.
+ * With --record, every request/response pair is also saved to the given fixture directory.
+ * @param {Object} options - The parsed CLI options.
+ * @param {Object} logger - Where progress goes. (default: console)
+ * @returns {RaClient} The client.
+ */
+function createCliClient(options, logger = console) {
+    return createClient({
+        retries: options.retries,
+        timeout: options.timeout,
+        rate: options.rate,
+        transport: options.record ? createRecordingTransport(options.record) : undefined,
+        logger
+    });
+}
+
+/**
+ * Fetch the events matching the CLI query options.
+ * @param {RaClient} client - The client to fetch with.
+ * @param {Object} options - The parsed CLI options.
+ * @returns {Promise<Object>} The output document ({metadata, events}), the resolved query and whether
+ *                            the page/event limits cut off any results, see RaClient.fetchAll().
+ */
+async function collectEvents(client, options) {
+    // Artists can be a single reference or a comma-separated list, each resolved to an ID
+    const artists = parseList(options.artist);
+    if (artists.length > 0) {
+        client.logger.log(`Fetching events for ${artists.length} artist(s): ${artists.join(', ')}`);
+    }
+
+    const result = await client.fetchAll({
+        areas: parseList(options.area),
+        artists,
+        venue: options.venue,
+        promoter: options.promoter,
+        genres: parseList(options.genre),
+        from: options.gte,
+        to: options.lte,
+        dates: options.dates,
+        timeZone: options.tz,
+        past: options.past,
+        maxPages: options.pages ?? 1,
+        maxEvents: options.maxEvents ?? Infinity,
+        details: options.details
+    });
+
+    if (artists.length > 0) {
+        client.logger.log(`\nTotal unique events fetched across all artists: ${result.events.length}`);
+    }
+    return result;
+}
+
+/**
+ * Fetch events matching the CLI options and save them to the output file.
+ * @param {Object} options - The parsed CLI options.
+ */
+async function fetchEvents(options) {
+    const format = options.format || (options.output ? inferFormat(options.output) : 'json');
+    // Look the exporter up before fetching, so an unknown format (e.g. from a profile) fails straight away
+    const exporter = getExporter(format);
+    const outputFile = options.output || `events${exporter.extensions[0]}`;
+
+    const result = await collectEvents(createCliClient(options), options);
+    writeOutput(result, outputFile, format);
+    if (options.past && result.metadata.summary) {
+        printSummary(result.metadata.summary);
+    }
+    console.log(`Events saved to ${outputFile}`);
+}
+
+/**
+ * Print the events matching the CLI options as a table, or as JSON with --json.
+ * Progress goes to stderr, so the output can be piped.
+ * @param {Object} options - The parsed CLI options.
+ */
+async function listEvents(options) {
+    // Check the fields before fetching, rather than failing once the events are in
+    const fields = parseFields(parseList(options.fields));
+    const stderr = { log: (...args) => console.error(...args), warn: (...args) => console.warn(...args) };
+    const { metadata, events, truncated } = await collectEvents(createCliClient(options, stderr), options);
+    const sorted = sortEvents(events, options.sort, options.reverse);
+
+    if (options.json) {
+        console.log(getExporter('json').serialize({ metadata, events: sorted }));
+        return;
+    }
+    if (sorted.length === 0) {
+        console.log('No events found.');
+        return;
+    }
+
+    const color = options.color !== false && Boolean(process.stdout.isTTY) && !process.env.NO_COLOR;
+    console.log(formatTable(sorted, { fields, color }));
+    console.log(`\n${sorted.length} event(s)${truncated ? ', more with --pages' : ''}`);
+}
+
+/**
+ * Print the per-year and per-country event counts of a listing.
+ * @param {Object} summary - The summary from the output metadata, see RaClient.fetchAll().
+ */
+function printSummary(summary) {
+    const format = buckets => buckets.map(bucket => `${bucket.name} ${bucket.count ?? '?'}`).join(', ') || 'none';
+
+    console.log(`\nEvents per year: ${format(summary.years)}`);
+    console.log(`Events per country: ${format(summary.countries)}`);
+    if (!summary.complete) {
+        console.log('These counts only cover the fetched events; use --pages all for complete counts.');
+    }
+}
+
+/**
+ * Run a saved query profile from the config file, with any options given on the command line taking precedence.
+ * @param {Object} options - The parsed CLI options.
+ */
+async function runProfile(options) {
+    const config = loadConfig(options.config);
+    const profileOptions = getProfile(config, options.profile);
+    const commandLineOptions = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+
+    console.log(`Running profile "${options.profile}" from ${config.file}`);
+    await fetchEvents({ ...profileOptions, ...commandLineOptions });
+}
+
+/**
+ * Fetch events matching the CLI options, merge them into the local store and report what changed.
+ * @param {Object} options - The parsed CLI options.
+ */
+async function syncEvents(options) {
+    const store = new EventStore(options.store);
+    // Sync needs the complete result set to spot removed events, so fetch every page unless told otherwise
+    const { events, query, truncated } = await collectEvents(createCliClient(options), {
+        ...options,
+        pages: options.pages ?? Infinity
+    });
+
+    if (truncated) {
+        console.warn('Warning: results were truncated, so events missing from this run are not reported as removed.');
+    }
+
+    const diff = store.sync(events, {
+        queryKey: EventStore.queryKey(query),
+        from: query.from,
+        to: query.to,
+        detectRemovals: !truncated
+    });
+    store.save();
+
+    printSyncReport(diff, store.file);
+    if (options.report) {
+        fs.writeFileSync(options.report, JSON.stringify(diff, null, 2));
+        console.log(`Diff report saved to ${options.report}`);
+    }
+}
+
+/**
+ * Print a sync diff report.
+ * @param {Object} diff - The diff returned by EventStore.sync().
+ * @param {string} storeFile - The store file path.
+ */
+function printSyncReport(diff, storeFile) {
+    const describe = record => `${(record.date || '').slice(0, 10)} ${record.title} @ ${record.venue || 'N/A'} (${record.id})`;
+
+    console.log(`\nSync complete: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed (store: ${storeFile})`);
+    for (const record of diff.added) {
+        console.log(`+ ${describe(record)}`);
+    }
+    for (const record of diff.removed) {
+        console.log(`- ${describe(record)}`);
+    }
+    for (const { record, changes } of diff.changed) {
+        console.log(`~ ${describe(record)}`);
+        for (const change of changes) {
+            console.log(`    ${change.field}: ${JSON.stringify(change.from)} -> ${JSON.stringify(change.to)}`);
+        }
+    }
+}
+
+/**
+ * Print the genres available for an area and date range, with the number of events tagged with each.
+ * @param {Object} options - The parsed CLI options.
+ */
+async function listGenres(options) {
+    const genres = await createCliClient(options).genres({
+        area: options.area,
+        from: options.gte,
+        to: options.lte,
+        dates: options.dates,
+        timeZone: options.tz
+    });
+
+    if (genres.length === 0) {
+        console.log('No genres found.');
+        return;
+    }
+
+    const labelWidth = Math.max(...genres.map(genre => genre.label.length));
+    for (const genre of genres) {
+        console.log(`${genre.label.padEnd(labelWidth)}  ${String(genre.count ?? '?').padStart(5)}  --genre ${genre.value}`);
+    }
+}
+
+/**
+ * Check the query templates and, unless --offline, probe RA.co to find fields that disappeared or changed type.
+ * @param {Object} options - The parsed CLI options.
+ */
+async function runDoctor(options) {
+    const doctor = new TemplateDoctor({
+        client: options.offline ? null : createCliClient(options).client,
+        baseline: options.baseline,
+        probe: {
+            area: options.area,
+            artist: options.artist,
+            venue: options.venue,
+            promoter: options.promoter,
+            event: options.event
+        }
+    });
+    const results = await doctor.run({ probe: !options.offline });
+
+    let failed = 0;
+    for (const result of results) {
+        const errors = result.problems.filter(problem => problem.level === 'error');
+        const checked = result.probed ? `, ${result.checkedFields} fields checked` : '';
+        console.log(`${errors.length > 0 ? 'FAIL' : 'OK  '} ${result.template} (${result.operationName || '?'}${checked})`);
+        for (const problem of result.problems) {
+            console.log(`     ${problem.level === 'error' ? '-' : '~'} ${problem.message}`);
+        }
+        if (errors.length > 0) failed++;
+    }
+
+    console.log(`\n${results.length - failed} of ${results.length} templates OK.`);
+    if (failed > 0) {
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Poll a saved set of queries on a schedule and notify about events that haven't been seen before.
+ * @param {Object} options - The parsed CLI options.
+ */
+async function watchEvents(options) {
+    const watchConfig = options.queries ? JSON.parse(fs.readFileSync(options.queries, 'utf8')) : {};
+
+    // Without a queries file, watch the single query given on the command line
+    const queries = watchConfig.queries || [{
+        name: 'command line',
+        area: options.area,
+        artist: options.artist,
+        genre: options.genre,
+        venue: options.venue,
+        promoter: options.promoter,
+        gte: options.gte,
+        lte: options.lte,
+        dates: options.dates,
+        tz: options.tz,
+        pages: options.pages,
+        maxEvents: options.maxEvents,
+        details: options.details
+    }];
+    queries.forEach((query, index) => {
+        query.name = query.name || `query ${index + 1}`;
+    });
+
+    const notify = watchConfig.notify || {};
+    const notifiers = [];
+    for (const url of [].concat(notify.webhook || [], options.webhook || [])) {
+        notifiers.push(new WebhookNotifier(url));
+    }
+    for (const command of [].concat(notify.command || [], options.exec || [])) {
+        notifiers.push(new CommandNotifier(command));
+    }
+    for (const file of [].concat(notify.file || [], options.append || [])) {
+        notifiers.push(new FileNotifier(file));
+    }
+    if (notifiers.length === 0) {
+        throw new Error('No notification configured. Use --webhook, --exec or --append, or "notify" in the queries file.');
+    }
+
+    // One client for every query, so they share the rate limit
+    const client = createCliClient(options);
+    const watcher = new Watcher({
+        queries,
+        interval: options.interval || watchConfig.interval || 60,
+        notifiers,
+        store: new EventStore(options.store || watchConfig.store || Watcher.DEFAULT_STORE_FILE),
+        fetchQuery: async (query) => {
+            const result = await collectEvents(client, { ...query, pages: query.pages ?? Infinity });
+            return {
+                records: result.events,
+                queryKey: EventStore.queryKey(result.query),
+                from: result.query.from,
+                to: result.query.to,
+                truncated: result.truncated
+            };
+        }
+    });
+
+    console.log(`Watching ${queries.length} quer${queries.length === 1 ? 'y' : 'ies'}, notifying via ${notifiers.join(', ')}`);
+    if (options.once) {
+        await watcher.poll();
+        return;
+    }
+
+    process.on('SIGINT', () => {
+        console.log('\nStopping watch after the current poll...');
+        watcher.stop();
+    });
+    await watcher.start();
+}
+
+/**
+ * Serve event queries over HTTP until interrupted.
+ * @param {Object} options - The parsed CLI options.
+ */
+async function serveEvents(options) {
+    const ttl = options.ttl ?? 300;
+    const { server, url } = await startApiServer({
+        // Page progress of concurrent requests would interleave, so only log one line per request
+        client: createCliClient(options, null),
+        cache: new ResponseCache({ ttl: ttl * 1000, file: options.cacheFile }),
+        logger: console
+    }, options.port ?? DEFAULT_PORT, options.host);
+
+    console.log(`Serving events at ${url}/events (formats: ${listFormats().map(format => `/events.${format}`).join(', ')}), caching results for ${ttl}s`);
+    process.on('SIGINT', () => {
+        console.log('\nStopping server...');
+        server.close();
+    });
+}
+
+/**
+ * Build the command line program with all its commands and options.
+ * @returns {Command} The program, ready to parse.
+ */
+function createProgram() {
+    const program = new Command();
+    
+    program
+        .name('event-fetcher')
+        .description('Fetch events from ra.co and save them to a JSON file.')
+        .enablePositionalOptions();
+
+    addQueryOptions(program)
+        .option('-o, --output <file>', 'The output file path (default: "events.json", or "events.<format>" with --format)')
+        .addOption(new Option('-f, --format <format>', 'The output format (default: inferred from the output file extension)').choices(listFormats()))
+        .action(fetchEvents);
+
+    addQueryOptions(program.command('list'))
+        .description('Print the matching events as a table, e.g. to look over the week\'s listings. RA Picks and ticketed events are highlighted.')
+        .option('--fields <fields>', `The columns to show, comma-separated: ${FIELD_NAMES.join(', ')} (default: ${DEFAULT_FIELDS.join(',')}).`)
+        .addOption(new Option('--sort <order>', 'The sort order.').choices(SORT_ORDERS).default('date'))
+        .option('--reverse', 'Reverse the sort order.')
+        .option('--json', 'Print the events as JSON instead, e.g. for piping into jq.')
+        .option('--no-color', 'Don\'t highlight picks and ticketed events (also off when the output isn\'t a terminal, or NO_COLOR is set).')
+        .action(listEvents);
+
+    addQueryOptions(program.command('run'))
+        .description('Fetch the events of a saved query profile from the config file (.racorc or raco.config.json) and save them to its output file. Options given here override the profile.')
+        .requiredOption('--profile <name>', 'The profile to run.')
+        .option('-c, --config <file>', 'The config file (default: .racorc, .racorc.json or raco.config.json in the working directory, then in the home directory).')
+        .option('-o, --output <file>', 'The output file path (default: the profile output, or "events.json")')
+        .addOption(new Option('-f, --format <format>', 'The output format (default: the profile format, or inferred from the output file extension)').choices(listFormats()))
+        .action(runProfile);
+
+    addQueryOptions(program.command('sync'))
+        .description('Fetch events, merge them into a local store and report what was added, removed or changed since the last sync. Fetches every page unless --pages is given.')
+        .option('-s, --store <file>', 'The store file path', DEFAULT_STORE_FILE)
+        .option('--report <file>', 'Also save the diff report as JSON to this file.')
+        .action(syncEvents);
+
+    addQueryOptions(program.command('watch'))
+        .description('Poll saved queries on a schedule and notify when a previously unseen event appears.')
+        .option('-q, --queries <file>', 'A JSON file with the queries to watch and how to notify (default: watch the query given by the options).')
+        .option('-i, --interval <minutes>', 'Minutes between polls (default: 60).', parseFloat)
+        .option('--webhook <url>', 'POST each new event as JSON to this URL.')
+        .option('--exec <command>', 'Run this shell command for each new event, with the event JSON on stdin.')
+        .option('--append <file>', 'Append each new event to this file as a line of JSON.')
+        .option('-s, --store <file>', `The store file used to remember seen events (default: "${Watcher.DEFAULT_STORE_FILE}")`)
+        .option('--once', 'Poll once and exit, e.g. when running from cron.')
+        .action(watchEvents);
+
+    program
+        .command('genres')
+        .description('List the genres available for an area and date range, with event counts.')
+        .requiredOption('-r, --area <area>', 'The area. Can be an area ID, a name or an RA.co URL/slug (e.g. "nl/utrecht").')
+        .option('-gte, --gte <date>', 'Start date for events (format: YYYY-MM-DD, "today", "tomorrow" or an offset like "+7d", default: today).')
+        .option('-lte, --lte <date>', 'End date for events (format: YYYY-MM-DD, "today", "tomorrow" or an offset like "+30d", optional).')
+        .option('--dates <window>', `A date window for the dates not given by --gte/--lte: ${WINDOW_NAMES.join(', ')}, a span like "next 14 days", an offset like "+30d" or a range like "today..+2w".`)
+        .option('--tz <timezone>', 'The timezone relative dates are worked out in (default: the area\'s timezone).')
+        .option('--record <dir>', 'Save every GraphQL request/response pair to this directory, for replaying with mockServer.js.')
+        .action(listGenres);
+
+    program
+        .command('serve')
+        .description('Start an HTTP server answering event queries, e.g. GET /events?area=13&from=2025-09-01 or GET /events.ics?artist=1013. Results are cached.')
+        .option('--port <number>', `The port to listen on (default: ${DEFAULT_PORT}).`, parseInt)
+        .option('--host <host>', 'The interface to listen on; use 0.0.0.0 to accept requests from other machines (default: 127.0.0.1).')
+        .option('--ttl <seconds>', 'How long results are cached before RA.co is asked again (default: 300).', parseFloat)
+        .option('--cache-file <file>', 'Keep the cache in this file, so it survives restarts (default: memory only).')
+        .option('--retries <number>', 'Number of times to retry a failed request (default: 3).', parseInt)
+        .option('--timeout <ms>', 'Per-request timeout in milliseconds (default: 15000).', parseInt)
+        .option('--rate <number>', 'Maximum requests per second (default: 1).', parseFloat)
+        .option('--record <dir>', 'Save every GraphQL request/response pair to this directory, for replaying with mockServer.js.')
+        .action(serveEvents);
+
+    program
+        .command('doctor')
+        .alias('validate-templates')
+        .description('Check the GraphQL query templates for unfilled placeholders and missing variables, then send a minimal probe request for each and report the fields RA.co no longer returns or returns with another type.')
+        .option('--offline', 'Only check the templates, without sending probe requests.')
+        .option('--baseline <dir>', 'A directory of responses recorded from RA.co with --record, to compare field types against (default: none, only missing fields are reported).')
+        .option('-r, --area <id>', 'The area ID to probe listings with (default: 13, London).', parseInt)
+        .option('-a, --artist <id>', 'The artist ID to probe artist listings with (default: 44361).')
+        .option('-v, --venue <id>', 'The venue ID to probe venue listings with (default: 168).', parseId)
+        .option('-m, --promoter <id>', 'The promoter ID to probe promoter listings with (default: 8612).', parseId)
+        .option('-e, --event <id>', 'The event ID to probe event details with (default: the first event of the area probe).')
+        .option('--retries <number>', 'Number of times to retry a failed request (default: 3).', parseInt)
+        .option('--timeout <ms>', 'Per-request timeout in milliseconds (default: 15000).', parseInt)
+        .option('--rate <number>', 'Maximum requests per second (default: 1).', parseFloat)
+        .option('--record <dir>', 'Save every GraphQL request/response pair to this directory, for replaying with mockServer.js.')
+        .action(runDoctor);
+
+    program
+        .command('search-area')
+        .description('Search areas by name and print matching IDs.')
+        .argument('<name...>', 'The area name to search for.')
+        .action(async (nameParts) => {
+            printCandidates(await createClient().searchAreas(nameParts.join(' ')));
+        });
+
+    program
+        .command('search-artist')
+        .description('Search artists by name and print matching IDs.')
+        .argument('<name...>', 'The artist name to search for.')
+        .action(async (nameParts) => {
+            printCandidates(await createClient().searchArtists(nameParts.join(' ')));
+        });
+
+    return program;
+}
+
+/**
+ * Main function to run the event fetcher.
+ */
+async function main() {
+    await createProgram().parseAsync();
+}
+
+/**
+ * Run the command line interface, printing errors and setting a non-zero exit code on failure.
+ * @returns {Promise} A promise that resolves once the command has finished.
+ */
+function run() {
+    return main().catch(error => {
+        console.error(`Error: ${error.message}`);
+        if (error instanceof RaClientError && error.attempts > 1) {
+            console.error(`Gave up after ${error.attempts} attempts.`);
+        }
+        if (error instanceof BadRequestError || error instanceof SchemaChangedError) {
+            console.error(`Request payload: ${JSON.stringify(error.payload, null, 2)}`);
+        }
+        if (error instanceof SchemaChangedError) {
+            console.error('Run the doctor command to see which template fields RA.co no longer accepts.');
+        }
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    createProgram,
+    parseId,
+    parseList,
+    parseCount,
+    parsePages,
+    main,
+    run
+};
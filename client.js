@@ -0,0 +1,568 @@
+const { GraphQLClient } = require('./graphqlClient');
+const EventFetcher = require('./eventFetcher');
+const IdResolver = require('./idResolver');
+const { normalizeEvent } = require('./eventModel');
+const { formatDate, isRelativeDate, resolveDate, resolveWindow } = require('./dates');
+const { isValidTimezone, systemTimezone } = require('./timezones');
+const { InvalidQueryError } = require('./errors');
+
+// The library is quiet by default; pass `logger: console` to see progress
+const SILENT_LOGGER = { log() {}, warn() {} };
+
+/**
+ * Turn a date option into a listing date bound.
+ * RA.co reads the bounds as calendar days local to each venue, so a bare date is passed on as that day.
+ * @param {string|Date} value - A date ("YYYY-MM-DD"), an ISO date-time, a relative date ("today", "+30d") or a Date.
+ * @param {boolean} endOfDay - Whether a bare date means the end of that day rather than the start.
+ * @param {string} timeZone - The IANA timezone whose calendar decides what "today" is. (default: UTC)
+ * @returns {string|null} The ISO date-time, or null if no date was given.
+ */
+function toListingDate(value, endOfDay = false, timeZone = null) {
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    value = resolveDate(value, new Date(), timeZone);
+    if (value === null) {
+        return null;
+    }
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return value + (endOfDay ? 'T23:59:59.999Z' : 'T00:00:00.000Z');
+    }
+    return value;
+}
+
+/**
+ * Check whether a query's dates depend on what day it is where it's asked: relative dates, or no start date at all.
+ * @param {Object} query - The query, see RaClient.events().
+ * @returns {boolean} True if the dates have to be resolved in a timezone.
+ */
+function hasRelativeDates(query) {
+    // Without a start date, the query starts today
+    return !(query.from || query.dates || query.past) || [query.from, query.to, query.dates].some(isRelativeDate);
+}
+
+/**
+ * Parse a venue or promoter ID option.
+ * @param {string} name - The option name, for the error message.
+ * @param {string|number} value - The option value.
+ * @returns {number|null} The ID, or null if none was given.
+ * @throws {InvalidQueryError} If the value isn't a positive whole number.
+ */
+function parseIdOption(name, value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const id = Number(value);
+    if (!/^\d+$/.test(String(value).trim()) || !Number.isSafeInteger(id) || id <= 0) {
+        throw new InvalidQueryError(`Invalid ${name} ID "${value}". Expected a numeric ID.`);
+    }
+    return id;
+}
+
+/**
+ * Turn a single value or list option into a list of strings.
+ * @param {string|number|Array} value - The option value.
+ * @returns {Array<string>} The values.
+ */
+function toList(value) {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+    return [].concat(value).map(String);
+}
+
+/**
+ * Merge aggregation buckets from several listings, keeping each bucket once.
+ * @param {Array<{type: string, values: Array}>} target - The buckets so far.
+ * @param {Array<{type: string, values: Array}>} source - The buckets of another listing.
+ * @returns {Array<{type: string, values: Array}>} The merged buckets.
+ */
+function mergeAggregations(target, source) {
+    for (const aggregation of source) {
+        const existing = target.find(item => item.type === aggregation.type);
+        if (!existing) {
+            target.push({ type: aggregation.type, values: [...(aggregation.values || [])] });
+            continue;
+        }
+        for (const value of aggregation.values || []) {
+            if (!existing.values.some(item => item.value === value.value)) {
+                existing.values.push(value);
+            }
+        }
+    }
+    return target;
+}
+
+/**
+ * Count events per year and per country, over the YEAR and COUNTRY aggregation buckets of a listing.
+ * The buckets cover every matching event, while the counts come from the fetched events: buckets without
+ * fetched events count 0 when every event was fetched, and null (unknown) when the results were cut off.
+ * @param {Array<Object>} events - The normalized events.
+ * @param {Array<{type: string, values: Array}>} aggregations - The aggregation buckets.
+ * @param {boolean} complete - Whether every matching event was fetched.
+ * @returns {{complete: boolean, years: Array, countries: Array}} The counts, as {value, name, count} buckets.
+ */
+function summarizeEvents(events, aggregations, complete) {
+    const bucketsOf = (type) => {
+        const aggregation = aggregations.find(item => item.type === type);
+        return new Map((aggregation ? aggregation.values : []).map(value => [String(value.value), { value: String(value.value), name: value.name, count: 0 }]));
+    };
+    const years = bucketsOf('YEAR');
+    const countries = bucketsOf('COUNTRY');
+
+    for (const event of events) {
+        const year = event.date ? event.date.slice(0, 4) : null;
+        if (year) {
+            if (!years.has(year)) years.set(year, { value: year, name: year, count: 0 });
+            years.get(year).count++;
+        }
+
+        const country = event.venueDetails?.area?.country;
+        if (country) {
+            // Buckets may be keyed by country ID or name
+            const bucket = countries.get(country.id) || Array.from(countries.values()).find(item => item.name === country.name);
+            if (bucket) {
+                bucket.count++;
+            } else {
+                countries.set(country.id, { value: country.id, name: country.name, count: 1 });
+            }
+        }
+    }
+
+    const finish = buckets => buckets.map(bucket => ({ ...bucket, count: bucket.count || (complete ? 0 : null) }));
+    return {
+        complete,
+        years: finish(Array.from(years.values()).sort((a, b) => b.value.localeCompare(a.value))),
+        countries: finish(Array.from(countries.values()).sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)))
+    };
+}
+
+class RaClient {
+    /**
+     * A client for embedding the event fetcher in other programs.
+     * Streams normalized events, resolves names/slugs/URLs to IDs and never writes to the console unless given a logger.
+     * @param {Object} options - Client options. Also takes every GraphQLClient option (url, headers, retries, backoff,
+     *                           maxBackoff, timeout, rate, burst, rateLimiter, transport).
+     * @param {GraphQLClient} options.client - An existing GraphQL client to send requests with.
+     * @param {Object} options.logger - Where progress and warnings go, an object with log() and warn(). (default: silent)
+     * @param {string} options.cacheFile - The ID cache file path. (default: "~/.raco/id-cache.json")
+     */
+    constructor(options = {}) {
+        this.client = options.client || new GraphQLClient(options);
+        this.logger = options.logger || SILENT_LOGGER;
+        this.resolver = new IdResolver(options.cacheFile, this.client);
+    }
+
+    /**
+     * Resolve the references and dates of a query.
+     * Relative dates ("today", "this-weekend") are resolved in the query's timezone: the one given, else the
+     * (first) area's, else this machine's. Each further area of a multi-area query gets its own dates when it's
+     * fetched, see resolveAreaDates().
+     * @param {Object} query - The query, see events().
+     * @returns {Promise<Object>} The resolved query: {area, areas, artists, venue, promoter, genres, past, timeZone,
+     *          from, to}. `area` is only set for single-area queries, `timeZone` is null when no date needed one.
+     */
+    async resolveQuery(query = {}) {
+        const areas = [];
+        for (const reference of toList(query.areas || query.area)) {
+            areas.push(parseInt(await this.resolver.resolveArea(reference)));
+        }
+        const artists = [];
+        for (const reference of toList(query.artists || query.artist)) {
+            artists.push(await this.resolver.resolveArtist(reference));
+        }
+
+        if (query.timeZone && !isValidTimezone(query.timeZone)) {
+            throw new InvalidQueryError(`Unknown timezone "${query.timeZone}". Use an IANA name such as "Europe/London" or "America/Los_Angeles".`);
+        }
+        let timeZone = query.timeZone || (areas.length > 0 ? this.resolver.getTimezone(areas[0]) : null);
+        if (!timeZone && hasRelativeDates(query)) {
+            timeZone = (areas.length > 0 && await this.getAreaTimezone(areas[0], query.signal)) || systemTimezone();
+        }
+
+        return {
+            area: areas.length === 1 ? areas[0] : null,
+            areas,
+            artists,
+            venue: parseIdOption('venue', query.venue),
+            promoter: parseIdOption('promoter', query.promoter),
+            genres: toList(query.genres || query.genre),
+            past: Boolean(query.past),
+            timeZone,
+            ...this.resolveDates(query, timeZone)
+        };
+    }
+
+    /**
+     * Resolve the date bounds of a query in a timezone.
+     * A window ("this-weekend", "+30d") fills in whichever bound isn't given explicitly. Past queries run from the
+     * start of the listing (or from) back to now (or to); others from today unless told otherwise.
+     * @param {Object} query - The query, see events().
+     * @param {string|null} timeZone - The timezone relative dates are resolved in. (default: UTC)
+     * @returns {{from: (string|null), to: (string|null)}} The listing date bounds.
+     */
+    resolveDates(query, timeZone) {
+        const window = query.dates ? resolveWindow(query.dates, new Date(), timeZone) : {};
+        const from = toListingDate(query.from || window.from, false, timeZone);
+        const to = toListingDate(query.to || window.to, true, timeZone);
+        if (query.past) {
+            return { from, to: to || new Date().toISOString() };
+        }
+        return { from: from || toListingDate('today', false, timeZone), to };
+    }
+
+    /**
+     * Resolve the dates of one area's listing where that area is, so "today" in Sydney isn't London's today.
+     * Only relative dates of multi-area queries without a timezone of their own differ from the resolved query's.
+     * @param {Object} query - The query, see events().
+     * @param {Object} resolved - The resolved query.
+     * @param {number} area - The area ID, or 0 for no area.
+     * @param {AbortSignal} signal - Cancels the area timezone lookup.
+     * @returns {Promise<{timeZone: (string|null), past: boolean, from: (string|null), to: (string|null)}>} The dates.
+     */
+    async resolveAreaDates(query, resolved, area, signal = null) {
+        const { timeZone, past, from, to } = resolved;
+        if (resolved.areas.length < 2 || area === resolved.areas[0] || query.timeZone || !hasRelativeDates(query)) {
+            return { timeZone, past, from, to };
+        }
+
+        const areaTimeZone = (await this.getAreaTimezone(area, signal)) || systemTimezone();
+        return { timeZone: areaTimeZone, past, ...this.resolveDates(query, areaTimeZone) };
+    }
+
+    /**
+     * Work out the timezone of an area, for resolving relative dates where the area is.
+     * Fetches one of the area's events to find its country, unless the timezone is cached already.
+     * @param {string|number} areaId - The area ID.
+     * @param {AbortSignal} signal - Cancels the request.
+     * @returns {Promise<string|null>} The IANA timezone, or null if the area has no events to tell from.
+     */
+    async getAreaTimezone(areaId, signal = null) {
+        const cached = this.resolver.getTimezone(areaId);
+        if (cached) {
+            return cached;
+        }
+
+        const fetcher = new EventFetcher({
+            area: areaId,
+            listingDateGte: toListingDate(formatDate(new Date())),
+            client: this.client,
+            logger: this.logger
+        });
+        fetcher.payload.variables.pageSize = 1;
+        try {
+            const { events } = await fetcher.getEventsPage(1, signal);
+            const timeZone = events.length > 0 ? normalizeEvent(events[0]).timeZone : null;
+            this.resolver.rememberTimezone(areaId, timeZone);
+            return timeZone;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+            this.logger.warn(`Could not work out the timezone of area ${areaId}, using ${systemTimezone()}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Work out which day to look back to for a query that starts today.
+     * Late-night events listed yesterday may still be running past midnight, so those queries also fetch
+     * yesterday's events and keep the ones that haven't ended yet (see isStillRunning()).
+     * @param {Object} resolved - The resolved query, or the dates of one of its areas (see resolveAreaDates()).
+     * @param {Date} now - The current time. (default: now)
+     * @returns {string|null} The start of yesterday as a listing date, or null if the query doesn't start today.
+     */
+    getLookbackDate(resolved, now = new Date()) {
+        const today = resolveDate('today', now, resolved.timeZone || systemTimezone());
+        if (resolved.past || !resolved.from || !resolved.from.startsWith(`${today}T00:00:00`)) {
+            return null;
+        }
+        return toListingDate(resolveDate('-1d', now, resolved.timeZone || systemTimezone()));
+    }
+
+    /**
+     * Check whether an event fetched by the lookback (listed before the query's first day) is still running.
+     * Events without a known end instant (no end time, or a venue in an unknown timezone) count as ended.
+     * @param {Object} event - The normalized event.
+     * @param {Object} resolved - The resolved query, or the dates of one of its areas.
+     * @param {Date} now - The current time. (default: now)
+     * @returns {boolean} True if the event is listed within the query dates, or hasn't ended yet.
+     */
+    isStillRunning(event, resolved, now = new Date()) {
+        if (!event.date || event.date.slice(0, 10) >= resolved.from.slice(0, 10)) {
+            return true;
+        }
+        return Boolean(event.endsAt) && Date.parse(event.endsAt) > now.getTime();
+    }
+
+    /**
+     * Stream the events matching a query, page by page.
+     * Multi-artist and multi-area queries fetch each artist/area in turn and skip events already yielded for an
+     * earlier one.
+     * Once the iterator is done, `iterator.stats` tells how many events it yielded, whether the
+     * page/event limits cut off any matching events and the aggregation buckets of listing queries.
+     * @param {Object} query - The query.
+     * @param {string|number|Array} query.areas - One or more area IDs, names, slugs or URLs. `area` works too.
+     * @param {string|Array} query.artists - One or more artist IDs, names, slugs or URLs. `artist` works too.
+     * @param {number} query.venue - A venue (club) ID.
+     * @param {number} query.promoter - A promoter ID.
+     * @param {string|Array<string>} query.genre - Genre value(s) to filter area queries by. `genres` works too.
+     * @param {string|Date} query.from - Start date, inclusive, e.g. "2025-09-01", "today" or "+7d". (default: today)
+     * @param {string|Date} query.to - End date, inclusive. (default: none)
+     * @param {string} query.dates - A date window for the bounds not given by from/to, e.g. "this-weekend",
+     *                              "next 14 days" or "+30d".
+     * @param {string} query.timeZone - The IANA timezone relative dates are resolved in, e.g. "Australia/Sydney".
+     *                                 (default: the area's, else this machine's)
+     * @param {boolean} query.past - List past events, newest first: `to` defaults to now and `from` to none.
+     *                               Artist, venue and promoter listings only.
+     * @param {number} query.maxPages - Maximum number of pages to fetch per listing. (default: Infinity)
+     * @param {number} query.maxEvents - Maximum number of events to fetch per listing. (default: Infinity)
+     * @param {boolean} query.details - Whether to fetch the full detail of each event. (default: false)
+     * @param {AbortSignal} query.signal - Cancels fetching; the iterator then throws an AbortError.
+     * @returns {AsyncGenerator<Object>} The normalized events.
+     */
+    events(query = {}) {
+        const stats = { events: 0, truncated: false, query: null, aggregations: null };
+        const iterator = this.streamEvents(query, stats);
+        iterator.stats = stats;
+        return iterator;
+    }
+
+    /**
+     * The generator behind events().
+     * @param {Object} query - The query, see events().
+     * @param {Object} stats - Updated with the resolved query, the event count and whether results were truncated.
+     * @yields {Object} The normalized events.
+     */
+    async *streamEvents(query, stats) {
+        const { maxPages = Infinity, maxEvents = Infinity, details = false, signal = null } = query;
+        const resolved = await this.resolveQuery(query);
+        stats.query = resolved;
+
+        // One listing per artist (or one venue/promoter/area listing), for each area
+        const bases = resolved.artists.length > 0
+            ? resolved.artists.map(artist => ({ artist, genres: resolved.genres }))
+            : [{ venue: resolved.venue, promoter: resolved.promoter, genres: resolved.genres }];
+        const areas = resolved.areas.length > 0 ? resolved.areas : [0];
+        const listings = bases.flatMap(base => areas.map(area => ({ ...base, area })));
+        const seenIds = new Set();
+        // Normalize raw events, dropping those already yielded for an earlier listing or outside the query areas
+        const accept = (listing, items) => items.map(item => normalizeEvent(item)).filter(event => {
+            if (seenIds.has(event.id) || !this.inArea(event, resolved)) {
+                return false;
+            }
+            seenIds.add(event.id);
+            if (resolved.artists.length > 0) {
+                event.matchedArtists = this.matchArtists(event, resolved.artists, listing.artist);
+            }
+            return true;
+        });
+
+        for (let i = 0; i < listings.length; i++) {
+            const listing = listings[i];
+            if (listing.artist || listings.length > 1) {
+                const target = listing.artist ? `events for artist ID: ${listing.artist}` : 'events';
+                this.logger.log(`\n[${i + 1}/${listings.length}] Fetching ${target}${areas.length > 1 ? ` in area ${listing.area}` : ''}`);
+            }
+
+            const dates = await this.resolveAreaDates(query, resolved, listing.area, signal);
+            const fetcherOptions = {
+                area: listing.area,
+                artist: listing.artist || 0,
+                venue: listing.venue,
+                promoter: listing.promoter,
+                genres: listing.genres,
+                past: resolved.past,
+                client: this.client
+            };
+
+            const running = await this.fetchStillRunning(fetcherOptions, dates, { maxPages, maxEvents, details }, signal);
+            for (const event of accept(listing, running)) {
+                stats.events++;
+                yield event;
+            }
+            // The events kept from yesterday count towards the listing's event limit
+            if (running.length >= maxEvents) {
+                stats.truncated = true;
+                continue;
+            }
+
+            const fetcher = new EventFetcher({ ...fetcherOptions, listingDateGte: dates.from, listingDateLte: dates.to, logger: this.logger });
+            for await (const events of fetcher.pages(maxPages, maxEvents - running.length, signal)) {
+                if (details) {
+                    await fetcher.fetchEventDetails(events, signal);
+                }
+
+                for (const event of accept(listing, events)) {
+                    stats.events++;
+                    yield event;
+                }
+            }
+
+            stats.truncated = stats.truncated || fetcher.truncated;
+            if (fetcher.aggregations) {
+                stats.aggregations = mergeAggregations(stats.aggregations || [], fetcher.aggregations);
+            }
+        }
+    }
+
+    /**
+     * Fetch yesterday's events of a listing that are still running, for a query that starts today.
+     * A query of its own, limited to yesterday and to as many pages as the listing itself, so the ended events it
+     * drops don't use up the listing's pages, and only the events that are kept get their details fetched.
+     * @param {Object} fetcherOptions - The EventFetcher options of the listing, without its dates.
+     * @param {Object} dates - The listing's dates, see resolveAreaDates().
+     * @param {Object} limits - The limits of the listing.
+     * @param {number} limits.maxPages - Maximum number of yesterday's pages to fetch. (default: Infinity)
+     * @param {number} limits.maxEvents - Maximum number of events to keep. (default: Infinity)
+     * @param {boolean} limits.details - Whether to fetch the full detail of each event. (default: false)
+     * @param {AbortSignal} signal - Cancels fetching.
+     * @returns {Promise<Array<Object>>} The raw events, empty if the query doesn't start today.
+     */
+    async fetchStillRunning(fetcherOptions, dates, { maxPages = Infinity, maxEvents = Infinity, details = false } = {}, signal = null) {
+        const lookback = this.getLookbackDate(dates);
+        if (!lookback) {
+            return [];
+        }
+
+        const fetcher = new EventFetcher({
+            ...fetcherOptions,
+            listingDateGte: lookback,
+            listingDateLte: toListingDate(lookback.slice(0, 10), true),
+            logger: SILENT_LOGGER
+        });
+        let running = [];
+        for await (const events of fetcher.pages(maxPages, Infinity, signal)) {
+            running.push(...events.filter(item => this.isStillRunning(normalizeEvent(item), dates)));
+            if (running.length >= maxEvents) {
+                running = running.slice(0, maxEvents);
+                break;
+            }
+        }
+        if (details && running.length > 0) {
+            await fetcher.fetchEventDetails(running, signal);
+        }
+        return running;
+    }
+
+    /**
+     * Check an artist listing event against the query area.
+     * The AREA listing filter should already have done this server-side, this catches anything it let through.
+     * @param {Object} event - The normalized event.
+     * @param {Object} resolved - The resolved query.
+     * @returns {boolean} True if the event should be kept.
+     */
+    inArea(event, resolved) {
+        if (resolved.areas.length === 0 || resolved.artists.length === 0) {
+            return true;
+        }
+        return resolved.areas.map(String).includes(event.venueDetails?.area?.id);
+    }
+
+    /**
+     * Work out which requested artists play an event.
+     * @param {Object} event - The normalized event.
+     * @param {Array<string>} artistIds - The requested artist IDs.
+     * @param {string} listedFor - The artist whose listing returned the event.
+     * @returns {Array<string>} The matching artist IDs, in request order.
+     */
+    matchArtists(event, artistIds, listedFor) {
+        const lineupIds = new Set(event.artistDetails.map(artist => artist.id));
+        return artistIds.filter(id => id === String(listedFor) || lineupIds.has(id));
+    }
+
+    /**
+     * Fetch every event matching a query into an output document, as written by the exporters.
+     * @param {Object} query - The query, see events().
+     * Listing queries also get a `summary` in the metadata: the number of events per year and per country.
+     * @returns {Promise<{metadata: Object, events: Array, query: Object, truncated: boolean}>} The output document,
+     *          plus the resolved query and whether the page/event limits cut off any matching events.
+     */
+    async fetchAll(query = {}) {
+        const iterator = this.events(query);
+        const events = [];
+        for await (const event of iterator) {
+            events.push(event);
+        }
+
+        const { query: resolved, truncated, aggregations } = iterator.stats;
+        return {
+            metadata: {
+                totalEvents: events.length,
+                generatedAt: new Date().toISOString(),
+                truncated,
+                queryInfo: {
+                    area: resolved.area,
+                    areas: resolved.areas,
+                    artist: resolved.artists.length > 0 ? resolved.artists.join(',') : null,
+                    venue: resolved.venue,
+                    promoter: resolved.promoter,
+                    genres: resolved.genres,
+                    ...(resolved.past ? { past: true } : {}),
+                    ...(resolved.timeZone ? { timeZone: resolved.timeZone } : {}),
+                    dateRange: { gte: resolved.from, lte: resolved.to }
+                },
+                ...(aggregations ? { summary: summarizeEvents(events, aggregations, !truncated) } : {})
+            },
+            events,
+            query: resolved,
+            truncated
+        };
+    }
+
+    /**
+     * List the genres available for an area and date range, with the number of events tagged with each.
+     * @param {Object} query - The query.
+     * @param {string|number} query.area - An area ID, name, slug or URL.
+     * @param {string|Date} query.from - Start date, inclusive. (default: today)
+     * @param {string|Date} query.to - End date, inclusive. (default: none)
+     * @param {string} query.dates - A date window for the bounds not given by from/to, e.g. "this-weekend".
+     * @param {string} query.timeZone - The IANA timezone relative dates are resolved in. (default: the area's)
+     * @param {AbortSignal} query.signal - Cancels the request.
+     * @returns {Promise<Array<{label: string, value: string, count: (number|null)}>>} The genres, most common first.
+     */
+    async genres(query = {}) {
+        const { area, from, to, dates, timeZone, signal } = query;
+        const resolved = await this.resolveQuery({ area, from, to, dates, timeZone, signal });
+        const fetcher = new EventFetcher({
+            area: resolved.area || 0,
+            listingDateGte: resolved.from,
+            listingDateLte: resolved.to,
+            client: this.client,
+            logger: this.logger
+        });
+        return fetcher.getGenreFacets(query.signal);
+    }
+
+    /**
+     * Search areas by name.
+     * @param {string} searchTerm - The text to search for.
+     * @returns {Promise<Array>} A list of candidate areas.
+     */
+    async searchAreas(searchTerm) {
+        return this.resolver.searchAreas(searchTerm);
+    }
+
+    /**
+     * Search artists by name.
+     * @param {string} searchTerm - The text to search for.
+     * @returns {Promise<Array>} A list of candidate artists.
+     */
+    async searchArtists(searchTerm) {
+        return this.resolver.searchArtists(searchTerm);
+    }
+}
+
+/**
+ * Create a client, e.g. `createClient({ rate: 2 }).events({ area: 'nl/utrecht', genre: 'techno' })`.
+ * @param {Object} options - Client options, see RaClient.
+ * @returns {RaClient} The client.
+ */
+function createClient(options = {}) {
+    return new RaClient(options);
+}
+
+module.exports = {
+    RaClient,
+    createClient
+};
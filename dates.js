@@ -0,0 +1,276 @@
+/**
+ * Date helpers for query date ranges: absolute dates, relative dates ("today", "+30d") and named windows
+ * ("this-weekend", "next 14 days"). Dates are calendar days, like the listing dates RA.co filters on, which are
+ * local to the venue. "Today" is the day it is in the given timezone (UTC if none), so a query made just after
+ * midnight in Sydney asks for Sydney's today rather than London's.
+ */
+
+const { InvalidQueryError } = require('./errors');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+const LOCAL_DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?$/;
+const RELATIVE_PATTERN = /^([+-])(\d+)([dwmy])$/;
+const SPAN_PATTERN = /^(next|last|past) (\d+) (day|week|month)s?$/;
+const WINDOW_SEPARATOR = '..';
+
+/**
+ * Format a date as YYYY-MM-DD.
+ * @param {Date} date - The date.
+ * @returns {string} The UTC calendar day.
+ */
+function formatDate(date) {
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Get the wall-clock time of an instant in a timezone.
+ * @param {Date} date - The instant.
+ * @param {string} timeZone - The IANA timezone.
+ * @returns {Date} The wall-clock time, as a Date whose UTC fields hold it.
+ */
+function wallClock(date, timeZone) {
+    const parts = {};
+    const format = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    });
+    for (const part of format.formatToParts(date)) {
+        parts[part.type] = parseInt(part.value);
+    }
+    return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, date.getUTCMilliseconds()));
+}
+
+/**
+ * Get the start of the day of a date.
+ * @param {Date} date - The date.
+ * @param {string} timeZone - The IANA timezone whose calendar day to use. (default: UTC)
+ * @returns {Date} The day, as midnight UTC.
+ */
+function startOfDay(date, timeZone = null) {
+    const local = timeZone ? wallClock(date, timeZone) : date;
+    return new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()));
+}
+
+/**
+ * Get the UTC offset of a timezone at an instant.
+ * @param {Date} date - The instant.
+ * @param {string} timeZone - The IANA timezone.
+ * @returns {number} The offset in minutes, e.g. 60 for British Summer Time or -420 for Pacific Daylight Time.
+ */
+function timezoneOffset(date, timeZone) {
+    return Math.round((wallClock(date, timeZone).getTime() - date.getTime()) / 60000);
+}
+
+/**
+ * Format a UTC offset as an ISO 8601 suffix.
+ * @param {number} minutes - The offset in minutes.
+ * @returns {string} The offset, e.g. "+01:00" or "-07:00".
+ */
+function formatOffset(minutes) {
+    const absolute = Math.abs(minutes);
+    const hours = String(Math.floor(absolute / 60)).padStart(2, '0');
+    return `${minutes < 0 ? '-' : '+'}${hours}:${String(absolute % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Turn a local date-time, as RA.co gives event times ("2025-09-05T23:00:00.000"), into an ISO timestamp with the
+ * UTC offset of its timezone, e.g. "2025-09-05T23:00:00.000+01:00".
+ * Times skipped by a daylight saving change are moved forward by the size of the change.
+ * @param {string} value - The local date-time.
+ * @param {string} timeZone - The IANA timezone the time is in.
+ * @returns {string|null} The timestamp, or null if there's no time or timezone, or the time can't be parsed.
+ */
+function toZonedTimestamp(value, timeZone) {
+    const match = value && timeZone ? String(value).match(LOCAL_DATE_TIME_PATTERN) : null;
+    if (!match) {
+        return null;
+    }
+
+    const [, year, month, day, hour, minute, second = '0', millisecond = '0'] = match;
+    const local = Date.UTC(year, month - 1, day, hour, minute, second, millisecond.padEnd(3, '0'));
+    // The offset at the local time read as UTC is at most a day off; checking again at the result settles DST changes
+    let offset = timezoneOffset(new Date(local), timeZone);
+    offset = timezoneOffset(new Date(local - offset * 60000), timeZone);
+    const instant = new Date(local - offset * 60000);
+
+    return wallClock(instant, timeZone).toISOString().slice(0, 23) + formatOffset(timezoneOffset(instant, timeZone));
+}
+
+/**
+ * Add days to a date.
+ * @param {Date} date - The date.
+ * @param {number} days - The number of days, may be negative.
+ * @returns {Date} The new date.
+ */
+function addDays(date, days) {
+    return new Date(date.getTime() + days * 86400000);
+}
+
+/**
+ * Add months to a date, keeping to the last day of shorter months (Jan 31 + 1 month is Feb 28/29).
+ * @param {Date} date - The date.
+ * @param {number} months - The number of months, may be negative.
+ * @returns {Date} The new date.
+ */
+function addMonths(date, months) {
+    const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+    return target;
+}
+
+/**
+ * Get the weekend (Friday to Sunday) that a day is in, or the next one on Monday to Thursday.
+ * @param {Date} today - The day.
+ * @returns {{from: Date, to: Date}} The weekend, starting no earlier than today.
+ */
+function upcomingWeekend(today) {
+    // Days since Friday: Fri 0, Sat 1, Sun 2, Mon 3 ... Thu 6
+    const sinceFriday = (today.getUTCDay() + 2) % 7;
+    if (sinceFriday <= 2) {
+        return { from: today, to: addDays(today, 2 - sinceFriday) };
+    }
+    const friday = addDays(today, 7 - sinceFriday);
+    return { from: friday, to: addDays(friday, 2) };
+}
+
+// Named date windows, from the start of their first day to the end of their last day
+const WINDOWS = {
+    'today': today => ({ from: today, to: today }),
+    'tomorrow': today => ({ from: addDays(today, 1), to: addDays(today, 1) }),
+    'this-weekend': today => upcomingWeekend(today),
+    'next-weekend': (today) => {
+        const { to } = upcomingWeekend(today);
+        return { from: addDays(to, 5), to: addDays(to, 7) };
+    },
+    'this-week': today => ({ from: today, to: addDays(today, (7 - today.getUTCDay()) % 7) }),
+    'next-week': (today) => {
+        const monday = addDays(today, 7 - ((today.getUTCDay() + 6) % 7));
+        return { from: monday, to: addDays(monday, 6) };
+    },
+    'this-month': today => ({ from: today, to: new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + 1, 0)) }),
+    'next-month': today => ({
+        from: new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + 1, 1)),
+        to: new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + 2, 0))
+    })
+};
+
+/**
+ * Get the window of a span such as "next 14 days" (today and the 13 days after it) or "last 2 weeks".
+ * @param {string} text - The lower-cased span.
+ * @param {Date} today - The day, as midnight UTC.
+ * @returns {{from: Date, to: Date}|null} The window, or null if the text isn't a span.
+ */
+function spanWindow(text, today) {
+    const match = text.replace(/[\s_-]+/g, ' ').match(SPAN_PATTERN);
+    if (!match || parseInt(match[2]) === 0) {
+        return null;
+    }
+
+    const count = parseInt(match[2]);
+    const sign = match[1] === 'next' ? 1 : -1;
+    const end = match[3] === 'month'
+        ? addDays(addMonths(today, sign * count), -sign)
+        : addDays(today, sign * (count * (match[3] === 'week' ? 7 : 1) - 1));
+    return sign > 0 ? { from: today, to: end } : { from: end, to: today };
+}
+
+/**
+ * Check whether a date depends on the current day, i.e. isn't an absolute date.
+ * @param {string|Date} value - The date or window.
+ * @returns {boolean} True for relative dates and windows ("today", "+30d", "this-weekend", "next 7 days").
+ */
+function isRelativeDate(value) {
+    if (value === undefined || value === null || value === '' || value instanceof Date) {
+        return false;
+    }
+    return String(value).split(WINDOW_SEPARATOR).some(part => !DATE_PATTERN.test(part.trim()));
+}
+
+/**
+ * Resolve a date to a calendar day or an ISO date-time.
+ * Takes YYYY-MM-DD, ISO date-times, "today", "tomorrow", "yesterday" and offsets from today such as "+30d",
+ * "-1w", "+3m" or "+1y".
+ * @param {string} value - The date.
+ * @param {Date} now - The current time. (default: now)
+ * @param {string} timeZone - The IANA timezone whose calendar decides what "today" is. (default: UTC)
+ * @returns {string|null} The date as YYYY-MM-DD (or the ISO date-time given), or null for an empty value.
+ * @throws {InvalidQueryError} If the date isn't recognised.
+ */
+function resolveDate(value, now = new Date(), timeZone = null) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    const text = String(value).trim().toLowerCase();
+    const today = startOfDay(now, timeZone);
+    if (text === 'today') return formatDate(today);
+    if (text === 'tomorrow') return formatDate(addDays(today, 1));
+    if (text === 'yesterday') return formatDate(addDays(today, -1));
+
+    const relative = text.match(RELATIVE_PATTERN);
+    if (relative) {
+        const amount = parseInt(relative[2]) * (relative[1] === '-' ? -1 : 1);
+        switch (relative[3]) {
+            case 'd': return formatDate(addDays(today, amount));
+            case 'w': return formatDate(addDays(today, amount * 7));
+            case 'm': return formatDate(addMonths(today, amount));
+            default: return formatDate(addMonths(today, amount * 12));
+        }
+    }
+
+    if (DATE_PATTERN.test(String(value)) && !isNaN(Date.parse(value))) {
+        return String(value);
+    }
+    throw new InvalidQueryError(`Unrecognized date "${value}". Use YYYY-MM-DD, "today", "tomorrow" or an offset such as "+30d".`);
+}
+
+/**
+ * Resolve a date window to its first and last day.
+ * Takes the named windows (today, tomorrow, this-weekend, next-weekend, this-week, next-week, this-month,
+ * next-month), spans such as "next 14 days", "next 2 weeks" or "last 3 months" (counting today), an offset such
+ * as "+30d" (today until then) or a range of two dates such as "today..+2w".
+ * Weekends run from Friday to Sunday.
+ * @param {string} value - The window.
+ * @param {Date} now - The current time. (default: now)
+ * @param {string} timeZone - The IANA timezone whose calendar decides what "today" is. (default: UTC)
+ * @returns {{from: string, to: string}} The first and last day, as YYYY-MM-DD.
+ * @throws {InvalidQueryError} If the window isn't recognised.
+ */
+function resolveWindow(value, now = new Date(), timeZone = null) {
+    const text = String(value).trim().toLowerCase();
+    const today = startOfDay(now, timeZone);
+
+    const window = WINDOWS[text] ? WINDOWS[text](today) : spanWindow(text, today);
+    if (window) {
+        return { from: formatDate(window.from), to: formatDate(window.to) };
+    }
+    if (text.includes(WINDOW_SEPARATOR)) {
+        const [from, to] = text.split(WINDOW_SEPARATOR);
+        return { from: resolveDate(from, now, timeZone), to: resolveDate(to, now, timeZone) };
+    }
+    if (RELATIVE_PATTERN.test(text)) {
+        const to = resolveDate(text, now, timeZone);
+        const from = formatDate(today);
+        return to < from ? { from: to, to: from } : { from, to };
+    }
+
+    throw new InvalidQueryError(`Unrecognized date window "${value}". Use ${Object.keys(WINDOWS).join(', ')}, a span such as "next 14 days", an offset such as "+30d" or a range such as "today..+2w".`);
+}
+
+module.exports = {
+    formatDate,
+    startOfDay,
+    timezoneOffset,
+    toZonedTimestamp,
+    isRelativeDate,
+    resolveDate,
+    resolveWindow,
+    WINDOW_NAMES: Object.keys(WINDOWS)
+};
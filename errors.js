@@ -0,0 +1,89 @@
+/**
+ * Error classes raised by the RA.co GraphQL request layer, plus InvalidQueryError for queries that can't be sent.
+ * Errors with `retryable` set to true are retried by GraphQLClient before being surfaced.
+ */
+
+class InvalidQueryError extends Error {
+    /**
+     * The query itself is wrong, e.g. an unrecognized date, an unknown area or filters that can't be combined.
+     * Raised before anything is sent, so retrying the same query can't help.
+     * @param {string} message - The error message, saying what to change.
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidQueryError';
+    }
+}
+
+class RaClientError extends Error {
+    /**
+     * Base class for all errors raised while talking to RA.co.
+     * @param {string} message - The error message.
+     * @param {Object} details - Extra properties to attach to the error (e.g. status, payload).
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.retryable = false;
+        Object.assign(this, details);
+    }
+}
+
+class HttpError extends RaClientError {
+    /**
+     * The API answered with an unexpected HTTP status.
+     * @param {string} message - The error message.
+     * @param {Object} details - Extra properties, including `status` and `body`.
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.retryable = this.status >= 500;
+    }
+}
+
+class BadRequestError extends HttpError {}
+
+class RateLimitedError extends HttpError {
+    /**
+     * The API answered with 429 Too Many Requests.
+     * @param {string} message - The error message.
+     * @param {Object} details - Extra properties, including `retryAfter` (milliseconds, or null if not sent).
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.retryable = true;
+    }
+}
+
+class TimeoutError extends RaClientError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.retryable = true;
+    }
+}
+
+class NetworkError extends RaClientError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.retryable = true;
+    }
+}
+
+class AbortError extends RaClientError {}
+
+class GraphQLError extends RaClientError {}
+
+class SchemaChangedError extends GraphQLError {}
+
+module.exports = {
+    InvalidQueryError,
+    RaClientError,
+    HttpError,
+    BadRequestError,
+    RateLimitedError,
+    TimeoutError,
+    NetworkError,
+    AbortError,
+    GraphQLError,
+    SchemaChangedError
+};
@@ -1,24 +1,38 @@
-const axios = require('axios');
-const fs = require('fs');
-const path = require('path');
-const { Command } = require('commander');
-
-const URL = 'https://ra.co/graphql';
-const HEADERS = {
-    'Content-Type': 'application/json',
-    'Referer': 'https://ra.co/events/uk/london',
-    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:106.0) Gecko/20100101 Firefox/106.0'
-};
+#!/usr/bin/env node
+const { loadTemplate, postQuery } = require('./graphqlClient');
+const { SchemaChangedError, AbortError, InvalidQueryError } = require('./errors');
+const { writeOutput } = require('./exporters');
+const { normalizeEvent } = require('./eventModel');
+
 const QUERY_TEMPLATE_PATH = "graphql_query_template.json";
 const ARTIST_QUERY_TEMPLATE_PATH = "graphql_query_template_artist.json";
-const DELAY = 1000; // 1 second delay between requests
+const VENUE_QUERY_TEMPLATE_PATH = "graphql_query_template_venue.json";
+const PROMOTER_QUERY_TEMPLATE_PATH = "graphql_query_template_promoter.json";
+const EVENT_DETAIL_TEMPLATE_PATH = "graphql_query_template_event.json";
+const GENRES_QUERY_TEMPLATE_PATH = "graphql_query_template_genres.json";
 
 class EventFetcher {
     /**
      * A class to fetch and print event details from RA.co
+     * Takes either positional arguments, or a single options object:
+     * `new EventFetcher({ area, artist, venue, promoter, genres, past, listingDateGte, listingDateLte, client, logger })`.
+     * @param {number|Object} areas - The area code to filter events (0 for none), or the options object.
+     * @param {number} artist - The artist ID to filter events (0 for none).
+     * @param {string} listingDateGte - The start date for event listings (inclusive). Optional for past listings.
+     * @param {string} listingDateLte - The end date for event listings (inclusive).
+     * @param {Object} options - Additional options, see generatePayload().
+     * @param {GraphQLClient} options.client - The client to send requests with. (default: the shared client)
+     * @param {Object} options.logger - Where progress and warnings go, an object with log() and warn(). (default: console)
      */
-    constructor(areas, artist, listingDateGte, listingDateLte) {
-        this.payload = this.generatePayload(areas, artist, listingDateGte, listingDateLte);
+    constructor(areas, artist, listingDateGte, listingDateLte, options = {}) {
+        if (areas !== null && typeof areas === 'object') {
+            options = areas;
+            ({ area: areas = 0, artist = 0, listingDateGte, listingDateLte = null } = options);
+        }
+
+        this.client = options.client || null;
+        this.logger = options.logger || console;
+        this.payload = this.generatePayload(areas, artist, listingDateGte, listingDateLte, options);
     }
 
     /**
@@ -27,36 +41,41 @@ class EventFetcher {
      * @param {number} artist - The artist ID to filter events.
      * @param {string} listingDateGte - The start date for event listings (inclusive).
      * @param {string} listingDateLte - The end date for event listings (inclusive).
+     * @param {Object} options - Additional listing options.
+     * @param {number} options.venue - The venue (club) ID to filter events.
+     * @param {number} options.promoter - The promoter ID to filter events.
+     * @param {Array<string>} options.genres - Genre values (e.g. ["techno", "house"]) to filter events. Area queries only.
+     * @param {boolean} options.past - List events newest first, for browsing past events. Listing queries only.
      * @returns {Object} The generated payload.
      */
-    generatePayload(areas, artist, listingDateGte, listingDateLte) {
+    generatePayload(areas, artist, listingDateGte, listingDateLte, options = {}) {
         let payload;
         
-        // Use different template based on whether artist filtering is requested
+        if (options.venue && options.promoter) {
+            throw new InvalidQueryError('Give either a venue or a promoter, not both.');
+        }
+        const isListingQuery = (artist && artist !== 0) || options.venue || options.promoter;
+        if (isListingQuery && options.genres && options.genres.length > 0) {
+            throw new InvalidQueryError('Genre filters only work with area queries, not with artist, venue or promoter listings.');
+        }
+        // The area listing can't be sorted, so its past events would come oldest first from the start of time
+        if (!isListingQuery && options.past) {
+            throw new InvalidQueryError('Past events can only be listed for an artist, venue or promoter. For an area, give a date range instead.');
+        }
+
+        // Use different template based on whether artist, venue or promoter filtering is requested
         if (artist && artist !== 0) {
             // Use artist-specific template
-            const templatePath = path.join(__dirname, ARTIST_QUERY_TEMPLATE_PATH);
-            payload = JSON.parse(fs.readFileSync(templatePath, 'utf8'));
-            
-            // Replace placeholders in the artist template
-            const artistFilter = payload.variables.filters.find(f => f.type === 'ARTIST');
-            const dateFilter = payload.variables.filters.find(f => f.type === 'DATERANGE');
-            const baseArtistFilter = payload.variables.baseFilters.find(f => f.type === 'ARTIST');
-            const baseDateFilter = payload.variables.baseFilters.find(f => f.type === 'DATERANGE');
-            
-            if (artistFilter) artistFilter.value = artist.toString();
-            // Only use gte if lte is null, otherwise use both
-            const dateValue = listingDateLte ? 
-                `{"gte":"${listingDateGte}","lte":"${listingDateLte}"}` : 
-                `{"gte":"${listingDateGte}"}`;
-            if (dateFilter) dateFilter.value = dateValue;
-            if (baseArtistFilter) baseArtistFilter.value = artist.toString();
-            if (baseDateFilter) baseDateFilter.value = dateValue;
-            
+            payload = this.generateListingPayload(ARTIST_QUERY_TEMPLATE_PATH, 'ARTIST', artist, areas, listingDateGte, listingDateLte, options);
+        } else if (options.venue) {
+            // Use venue-specific template
+            payload = this.generateListingPayload(VENUE_QUERY_TEMPLATE_PATH, 'CLUB', options.venue, areas, listingDateGte, listingDateLte, options);
+        } else if (options.promoter) {
+            // Use promoter-specific template
+            payload = this.generateListingPayload(PROMOTER_QUERY_TEMPLATE_PATH, 'PROMOTER', options.promoter, areas, listingDateGte, listingDateLte, options);
         } else {
             // Use original template for area-based filtering
-            const templatePath = path.join(__dirname, QUERY_TEMPLATE_PATH);
-            payload = JSON.parse(fs.readFileSync(templatePath, 'utf8'));
+            payload = loadTemplate(QUERY_TEMPLATE_PATH);
 
             // Only add area filter if area is provided
             if (areas && areas !== 0) {
@@ -73,46 +92,152 @@ class EventFetcher {
             } else {
                 delete payload.variables.filters.listingDate.lte;
             }
+
+            // Only add genre filter if genres are provided
+            if (options.genres && options.genres.length > 0) {
+                payload.variables.filters.genre = { any: options.genres };
+            }
         }
 
         // console.log('Generated payload variables:', payload.variables);
         return payload;
     }
 
+    /**
+     * Generate the payload for a listing template (artist, venue or promoter).
+     * @param {string} templatePath - The listing query template file.
+     * @param {string} filterType - The listing filter type (e.g. "ARTIST", "CLUB", "PROMOTER").
+     * @param {number|string} id - The ID to filter events by.
+     * @param {number} areas - The area code to filter events (optional).
+     * @param {string} listingDateGte - The start date for event listings (inclusive, optional).
+     * @param {string} listingDateLte - The end date for event listings (inclusive, optional).
+     * @param {Object} options - Additional listing options.
+     * @param {boolean} options.past - List events newest first.
+     * @returns {Object} The generated payload.
+     */
+    generateListingPayload(templatePath, filterType, id, areas, listingDateGte, listingDateLte, options = {}) {
+        const payload = loadTemplate(templatePath);
+
+        // Replace placeholders in the listing template
+        const idFilter = payload.variables.filters.find(f => f.type === filterType);
+        const dateFilter = payload.variables.filters.find(f => f.type === 'DATERANGE');
+        const baseIdFilter = payload.variables.baseFilters.find(f => f.type === filterType);
+        const baseDateFilter = payload.variables.baseFilters.find(f => f.type === 'DATERANGE');
+
+        if (idFilter) idFilter.value = id.toString();
+        // Only include the bounds that are set; past listings may have no start date
+        const dateValue = JSON.stringify({
+            ...(listingDateGte ? { gte: listingDateGte } : {}),
+            ...(listingDateLte ? { lte: listingDateLte } : {})
+        });
+        if (dateFilter) dateFilter.value = dateValue;
+        if (baseIdFilter) baseIdFilter.value = id.toString();
+        if (baseDateFilter) baseDateFilter.value = dateValue;
+
+        // Narrow the listing to an area server-side, so we don't page through the whole world
+        if (areas && areas !== 0) {
+            const areaFilter = { type: 'AREA', value: areas.toString() };
+            payload.variables.filters.push(areaFilter);
+            payload.variables.baseFilters.push({ ...areaFilter });
+        }
+
+        if (options.past) {
+            payload.variables.sortOrder = 'DESCENDING';
+        }
+
+        return payload;
+    }
+
+    /**
+     * Generate the payload for an event detail request.
+     * @param {string} eventId - The event ID.
+     * @returns {Object} The generated payload.
+     */
+    generateEventDetailPayload(eventId) {
+        const payload = loadTemplate(EVENT_DETAIL_TEMPLATE_PATH);
+        payload.variables.id = eventId.toString();
+        return payload;
+    }
+
+    /**
+     * Generate the payload for the genre facets of an area query: the same filters as the listing, without the events.
+     * @returns {Object|null} The generated payload, or null if this isn't an area query.
+     */
+    generateGenreFacetPayload() {
+        if (this.payload.operationName !== 'GET_EVENT_LISTINGS') {
+            return null;
+        }
+
+        const payload = loadTemplate(GENRES_QUERY_TEMPLATE_PATH);
+        payload.variables.filters = JSON.parse(JSON.stringify(this.payload.variables.filters));
+        return payload;
+    }
+
     /**
      * Fetch events for the given page number.
      * @param {number} pageNumber - The page number for event listings.
      * @returns {Promise<Array>} A list of events.
      */
     async getEvents(pageNumber) {
+        const page = await this.getEventsPage(pageNumber);
+        return page.events;
+    }
+
+    /**
+     * Fetch a page of events along with the total number of matching events.
+     * @param {number} pageNumber - The page number for event listings.
+     * @param {AbortSignal} signal - Optional signal to cancel the request.
+     * @returns {Promise<{events: Array, totalResults: (number|null), filterOptions: (Object|null), aggregations: (Array|null)}>}
+     *          The events on the page, the total result count, the filter facets (area queries only) and the
+     *          aggregation buckets, e.g. the years and countries of the events (listing queries only).
+     */
+    async getEventsPage(pageNumber, signal = null) {
         this.payload.variables.page = pageNumber;
-        
-        try {
-            const response = await axios.post(URL, this.payload, { headers: HEADERS });
-            const data = response.data;
 
-            if (!data.data) {
-                console.log(`Error: ${JSON.stringify(data)}`);
-                return [];
-            }
+        const data = await this.request(this.payload, signal);
 
-            // Handle different response structures based on query type
-            if (this.payload.operationName === 'GET_DEFAULT_EVENTS_LISTING') {
-                // Artist query response structure
-                return data.data.listing.data;
-            } else {
-                // Original area query response structure
-                return data.data.eventListings.data;
-            }
-        } catch (error) {
-            if (error.response?.status === 400) {
-                console.log(`Error 400: Bad request. This might be due to invalid parameters or API changes.`);
-                console.log(`Request payload: ${JSON.stringify(this.payload, null, 2)}`);
-            } else {
-                console.log(`Error: ${error.response?.status || error.message}`);
-            }
+        // Handle different response structures based on query type
+        let listing;
+        if (this.payload.operationName === 'GET_DEFAULT_EVENTS_LISTING') {
+            // Listing query (artist, venue, promoter) response structure
+            listing = data.listing;
+        } else {
+            // Original area query response structure
+            listing = data.eventListings;
+        }
+
+        if (!listing || !Array.isArray(listing.data)) {
+            throw new SchemaChangedError(`Response to ${this.payload.operationName} is missing the event listing`, { payload: this.payload });
+        }
+
+        this.totalResults = typeof listing.totalResults === 'number' ? listing.totalResults : null;
+        this.filterOptions = listing.filterOptions || null;
+        this.aggregations = (data.aggregations && data.aggregations.aggregations) || null;
+        return { events: listing.data, totalResults: this.totalResults, filterOptions: this.filterOptions, aggregations: this.aggregations };
+    }
+
+    /**
+     * Fetch the genre facets of the query: the genres its events are tagged with and how many events have each.
+     * Only area queries return facets. They're fetched with a query of their own, so the listing query never
+     * asks for the counts and keeps working if RA.co drops them.
+     * @param {AbortSignal} signal - Optional signal to cancel the request.
+     * @returns {Promise<Array<{label: string, value: string, count: (number|null)}>>} The genres, most common first.
+     */
+    async getGenreFacets(signal = null) {
+        const payload = this.generateGenreFacetPayload();
+        if (!payload) {
             return [];
         }
+
+        const data = await this.request(payload, signal);
+        if (!data.eventListings) {
+            throw new SchemaChangedError(`Response to ${payload.operationName} is missing the event listing`, { payload });
+        }
+        const genres = (data.eventListings.filterOptions && data.eventListings.filterOptions.genre) || [];
+
+        return genres
+            .map(genre => ({ label: genre.label, value: genre.value, count: typeof genre.count === 'number' ? genre.count : null }))
+            .sort((a, b) => (b.count || 0) - (a.count || 0));
     }
 
     /**
@@ -120,18 +245,15 @@ class EventFetcher {
      * @param {Array} events - A list of events.
      */
     printEventDetails(events) {
-        for (const event of events) {
-            // Handle different event data structures
-            const eventData = event.event || event; // Use event.event for original query, or event directly for artist query
-            
-            console.log(`Event name: ${eventData.title}`);
-            console.log(`Date: ${eventData.date}`);
-            console.log(`Start Time: ${eventData.startTime}`);
-            console.log(`End Time: ${eventData.endTime || 'N/A'}`);
-            console.log(`Artists: ${eventData.artists ? eventData.artists.map(artist => artist.name) : 'N/A'}`);
-            console.log(`Venue: ${eventData.venue ? eventData.venue.name : 'N/A'}`);
-            console.log(`Event URL: ${eventData.contentUrl}`);
-            console.log(`Number of guests attending: ${eventData.attending || eventData.interestedCount || 0}`);
+        for (const event of events.map(item => normalizeEvent(item))) {
+            console.log(`Event name: ${event.title}`);
+            console.log(`Date: ${event.date}`);
+            console.log(`Start Time: ${event.startTime}`);
+            console.log(`End Time: ${event.endTime || 'N/A'}`);
+            console.log(`Artists: ${event.artists.length > 0 ? event.artists.join(', ') : 'N/A'}`);
+            console.log(`Venue: ${event.venue || 'N/A'}`);
+            console.log(`Event URL: ${event.contentUrl}`);
+            console.log(`Number of guests attending: ${event.attending}`);
             console.log('-'.repeat(80));
         }
     }
@@ -151,7 +273,6 @@ class EventFetcher {
 
             this.printEventDetails(events);
             pageNumber++;
-            await this.sleep(DELAY);
         }
     }
 
@@ -160,46 +281,112 @@ class EventFetcher {
      * @returns {Promise<Array>} A list of all events.
      */
     async fetchAllEvents() {
-        const allEvents = [];
-        let pageNumber = 1;
-
-        while (true) {
-            const events = await this.getEvents(pageNumber);
+        return this.fetchEventsWithPageLimit(Infinity);
+    }
 
-            if (!events || events.length === 0) {
-                break;
-            }
+    /**
+     * Fetch events with a page limit and return them as a list.
+     * @param {number} maxPages - Maximum number of pages to fetch (Infinity for all pages).
+     * @param {number} maxEvents - Maximum number of events to return. (default: Infinity)
+     * @returns {Promise<Array>} A list of events.
+     */
+    async fetchEventsWithPageLimit(maxPages, maxEvents = Infinity) {
+        const allEvents = [];
 
+        for await (const events of this.pages(maxPages, maxEvents)) {
             allEvents.push(...events);
-            pageNumber++;
-            await this.sleep(DELAY);
         }
 
         return allEvents;
     }
 
     /**
-     * Fetch events with a page limit and return them as a list.
-     * @param {number} maxPages - Maximum number of pages to fetch.
-     * @returns {Promise<Array>} A list of events.
+     * Fetch events page by page.
+     * The number of pages is computed from `totalResults`, so fetching stops after the last page
+     * without requesting an empty one. Logs a progress line per page and warns when the limits
+     * cut off matching events; `this.truncated` tells whether they did once the pages are exhausted.
+     * @param {number} maxPages - Maximum number of pages to fetch. (default: Infinity)
+     * @param {number} maxEvents - Maximum number of events to yield. (default: Infinity)
+     * @param {AbortSignal} signal - Optional signal to cancel fetching.
+     * @yields {Array} The events of each page.
      */
-    async fetchEventsWithPageLimit(maxPages) {
-        const allEvents = [];
+    async *pages(maxPages = Infinity, maxEvents = Infinity, signal = null) {
+        const pageSize = this.payload.variables.pageSize;
         let pageNumber = 1;
+        let fetched = 0;
+        let totalResults = null;
+        let totalPages = null;
 
-        while (pageNumber <= maxPages) {
-            const events = await this.getEvents(pageNumber);
+        this.truncated = false;
 
-            if (!events || events.length === 0) {
+        while (pageNumber <= maxPages && fetched < maxEvents) {
+            const page = await this.getEventsPage(pageNumber, signal);
+
+            if (!page.events || page.events.length === 0) {
+                break;
+            }
+
+            const events = page.events.slice(0, maxEvents - fetched);
+            fetched += events.length;
+
+            if (page.totalResults !== null) {
+                totalResults = page.totalResults;
+                totalPages = Math.ceil(totalResults / pageSize);
+            }
+            this.logger.log(`Fetched page ${pageNumber}/${totalPages ?? '?'}, ${fetched}/${totalResults ?? '?'} events`);
+
+            yield events;
+
+            if (totalPages !== null && pageNumber >= totalPages) {
                 break;
             }
 
-            allEvents.push(...events);
             pageNumber++;
-            await this.sleep(DELAY);
         }
 
-        return allEvents;
+        this.truncated = totalResults !== null && fetched < totalResults;
+        if (this.truncated) {
+            this.logger.warn(`Warning: results truncated, fetched ${fetched} of ${totalResults} matching events. Raise the page or event limit to get the rest.`);
+        }
+    }
+
+    /**
+     * Fetch the full detail (lineup, ticket tiers, genres, description) of a single event.
+     * @param {string} eventId - The event ID.
+     * @param {AbortSignal} signal - Optional signal to cancel the request.
+     * @returns {Promise<Object|null>} The event detail, or null if the event doesn't exist.
+     */
+    async getEventDetail(eventId, signal = null) {
+        const data = await this.request(this.generateEventDetailPayload(eventId), signal);
+        return data.event || null;
+    }
+
+    /**
+     * Fetch the full detail of each event and attach it to the event data.
+     * An event whose detail can't be fetched is logged and left without details, so one bad event doesn't lose the rest.
+     * @param {Array} events - A list of events.
+     * @param {AbortSignal} signal - Optional signal to cancel fetching.
+     * @returns {Promise<Array>} The same list of events, enriched with their details.
+     */
+    async fetchEventDetails(events, signal = null) {
+        for (let i = 0; i < events.length; i++) {
+            const eventData = events[i].event || events[i];
+            this.logger.log(`[${i + 1}/${events.length}] Fetching details for event ID: ${eventData.id}`);
+
+            try {
+                const detail = await this.getEventDetail(eventData.id, signal);
+                if (detail) {
+                    eventData.details = detail;
+                }
+            } catch (error) {
+                if (error instanceof AbortError) {
+                    throw error;
+                }
+                this.logger.warn(`Warning: could not fetch details for event ID ${eventData.id}: ${error.message}`);
+            }
+        }
+
+        return events;
     }
 
     /**
@@ -210,38 +397,41 @@ class EventFetcher {
      * @param {string|number} artistFilter - Optional artist ID(s) to filter events. Can be single ID or comma-separated list.
      */
     async saveEventsToJson(events, outputFile = "events.json", areaFilter = null, artistFilter = null) {
-        const records = events.map(event => {
-            // Handle different event data structures
-            const eventData = event.event || event; // Use event.event for original query, or event directly for artist query
-            
-            return {
-                title: eventData.title,
-                date: eventData.date,
-                startTime: eventData.startTime,
-                endTime: eventData.endTime || null, // Artist query might not have endTime
-                artists: eventData.artists ? eventData.artists.map(artist => artist.name) : [],
-                venue: eventData.venue ? eventData.venue.name : null,
-                contentUrl: eventData.contentUrl,
-                attending: eventData.attending || eventData.interestedCount || 0,
-                // Include additional metadata
-                id: eventData.id,
-                isTicketed: eventData.isTicketed,
-                queueItEnabled: eventData.queueItEnabled,
-                newEventForm: eventData.newEventForm,
-                images: eventData.images || [],
-                venueDetails: eventData.venue || null,
-                artistDetails: eventData.artists || []
-            };
-        });
+        await this.saveEvents(events, outputFile, areaFilter, artistFilter, 'json');
+    }
 
-        // If both area and artist filters are specified, filter events by area
+    /**
+     * Save events to a file using one of the registered exporters (json, ndjson, csv, ics).
+     * @param {Array} events - A list of events.
+     * @param {string} outputFile - The output file path. (default: "events.json")
+     * @param {number} areaFilter - Optional area ID to filter events.
+     * @param {string|number} artistFilter - Optional artist ID(s) to filter events. Can be single ID or comma-separated list.
+     * @param {string} format - The export format. Inferred from the output file extension if omitted.
+     */
+    async saveEvents(events, outputFile = "events.json", areaFilter = null, artistFilter = null, format = null) {
+        writeOutput(this.buildOutput(events, areaFilter, artistFilter), outputFile, format);
+        this.logger.log(`Events saved to ${outputFile}`);
+    }
+
+    /**
+     * Turn fetched events into output records with query metadata.
+     * @param {Array} events - A list of events.
+     * @param {number} areaFilter - Optional area ID to filter events.
+     * @param {string|number} artistFilter - Optional artist ID(s) to filter events. Can be single ID or comma-separated list.
+     * @returns {{metadata: Object, events: Array}} The output document.
+     */
+    buildOutput(events, areaFilter = null, artistFilter = null) {
+        const records = events.map(item => normalizeEvent(item));
+
+        // If both area and artist filters are specified, filter events by area.
+        // The AREA listing filter should already have done this server-side, this catches anything it let through.
         let filteredRecords = records;
         if (areaFilter && artistFilter) {
             filteredRecords = records.filter(record => {
                 const eventAreaId = record.venueDetails?.area?.id;
                 return eventAreaId && eventAreaId === areaFilter.toString();
             });
-            console.log(`Filtered to ${filteredRecords.length} events in area ${areaFilter}`);
+            this.logger.log(`Filtered to ${filteredRecords.length} events in area ${areaFilter}`);
         }
 
         const jsonData = {
@@ -253,6 +443,10 @@ class EventFetcher {
                     artist: artistFilter || this.payload.variables.filters?.artist?.eq || 
                            (Array.isArray(this.payload.variables.filters) ? 
                             this.payload.variables.filters.find(f => f.type === 'ARTIST')?.value : null) || null,
+                    venue: (Array.isArray(this.payload.variables.filters) ? 
+                            this.payload.variables.filters.find(f => f.type === 'CLUB')?.value : null) || null,
+                    promoter: (Array.isArray(this.payload.variables.filters) ? 
+                               this.payload.variables.filters.find(f => f.type === 'PROMOTER')?.value : null) || null,
                     dateRange: {
                         gte: this.payload.variables.filters?.listingDate?.gte || 
                              (Array.isArray(this.payload.variables.filters) ? 
@@ -263,11 +457,48 @@ class EventFetcher {
             events: filteredRecords
         };
 
-        fs.writeFileSync(outputFile, JSON.stringify(jsonData, null, 2));
-        console.log(`Events saved to ${outputFile}`);
+        return jsonData;
     }
 
+    /**
+     * Merge the events fetched for several artists into a single list without duplicates.
+     * Each event gets a `matchedArtists` list with the requested artist IDs it was found for,
+     * so a back-to-back night featuring two requested artists is only counted once.
+     * @param {Array<{artistId: string, events: Array}>} artistResults - The events fetched per artist.
+     * @returns {Array} A list of unique events.
+     */
+    static mergeArtistEvents(artistResults) {
+        const eventsById = new Map();
+
+        for (const { artistId, events } of artistResults) {
+            for (const event of events) {
+                const eventData = event.event || event;
+                const existing = eventsById.get(eventData.id);
+
+                if (existing) {
+                    const existingData = existing.event || existing;
+                    if (!existingData.matchedArtists.includes(artistId.toString())) {
+                        existingData.matchedArtists.push(artistId.toString());
+                    }
+                } else {
+                    eventData.matchedArtists = [artistId.toString()];
+                    eventsById.set(eventData.id, event);
+                }
+            }
+        }
 
+        return Array.from(eventsById.values());
+    }
+
+    /**
+     * Send a GraphQL payload through this fetcher's client, or the shared one.
+     * @param {Object} payload - The GraphQL payload.
+     * @param {AbortSignal} signal - Optional signal to cancel the request.
+     * @returns {Promise<Object>} The response `data` object.
+     */
+    request(payload, signal = null) {
+        return this.client ? this.client.query(payload, { signal }) : postQuery(payload, { signal });
+    }
 
     /**
      * Utility function to sleep for a given number of milliseconds.
@@ -279,88 +510,9 @@ class EventFetcher {
     }
 }
 
-/**
- * Main function to run the event fetcher.
- */
-async function main() {
-    const program = new Command();
-    
-    program
-        .name('event-fetcher')
-        .description('Fetch events from ra.co and save them to a JSON file.') 
-        .option('-r, --area <id>', 'The area code to filter events (optional).', parseInt)
-        .option('-a, --artist <ids>', 'The artist ID(s) to filter events (optional). Can be a single ID or comma-separated list of IDs.')
-        .option('-p, --pages <number>', 'Number of pages to fetch (default: 1).', parseInt)
-        .option('-gte, --gte <date>', 'Start date for events (format: YYYY-MM-DD, default: today).')
-        .option('-lte, --lte <date>', 'End date for events (format: YYYY-MM-DD, optional).')
-        .option('-o, --output <file>', 'The output file path', 'events.json')
-        .parse();
-
-    const options = program.opts();
-    
-    // Handle date options
-    const today = new Date();
-    const defaultGte = today.toISOString().split('T')[0] + 'T00:00:00.000Z';
-    
-    const listingDateGte = options.gte ? 
-        options.gte + 'T00:00:00.000Z' : 
-        defaultGte;
-    
-    const listingDateLte = options.lte ? 
-        options.lte + 'T23:59:59.999Z' : 
-        null;
-
-    // Parse artist IDs - can be single ID or comma-separated list
-    let artistIds = [];
-    if (options.artist) {
-        artistIds = options.artist.split(',').map(id => id.trim()).filter(id => id.length > 0);
-    }
-
-    const areaId = options.area || 0;
-    const maxPages = options.pages || 1;
-    
-    let allEvents = [];
-    let totalEventsFetched = 0;
-
-    if (artistIds.length > 0) {
-        // Fetch events for each artist individually
-        console.log(`Fetching events for ${artistIds.length} artist(s): ${artistIds.join(', ')}`);
-        
-        for (let i = 0; i < artistIds.length; i++) {
-            const artistId = artistIds[i];
-            console.log(`\n[${i + 1}/${artistIds.length}] Fetching events for artist ID: ${artistId}`);
-            
-            const eventFetcher = new EventFetcher(areaId, artistId, listingDateGte, listingDateLte);
-            const artistEvents = await eventFetcher.fetchEventsWithPageLimit(maxPages);
-            
-            console.log(`Found ${artistEvents.length} events for artist ${artistId}`);
-            allEvents.push(...artistEvents);
-            totalEventsFetched += artistEvents.length;
-            
-            // Add a small delay between artist queries to be respectful to the API
-            if (i < artistIds.length - 1) {
-                console.log('Waiting 2 seconds before next artist query...');
-                await new Promise(resolve => setTimeout(resolve, 2000));
-            }
-        }
-        
-        console.log(`\nTotal events fetched across all artists: ${totalEventsFetched}`);
-        
-        // Create a combined event fetcher for saving (using the first artist's configuration)
-        const combinedEventFetcher = new EventFetcher(areaId, artistIds[0], listingDateGte, listingDateLte);
-        await combinedEventFetcher.saveEventsToJson(allEvents, options.output, options.area, artistIds.join(','));
-        
-    } else {
-        // Original behavior for area-based queries or no artist specified
-        const eventFetcher = new EventFetcher(areaId, 0, listingDateGte, listingDateLte);
-        allEvents = await eventFetcher.fetchEventsWithPageLimit(maxPages);
-        await eventFetcher.saveEventsToJson(allEvents, options.output, options.area, null);
-    }
-}
+module.exports = EventFetcher;
 
-// Run the main function if this file is executed directly
+// Run the command line interface if this file is executed directly
 if (require.main === module) {
-    main().catch(console.error);
+    require('./cli').run();
 }
-
-module.exports = EventFetcher;
@@ -0,0 +1,128 @@
+/**
+ * Typings for eventModel.js. The JSON Schema equivalent is event.schema.json.
+ */
+
+export interface Country {
+    id: string;
+    name: string;
+    urlCode: string | null;
+}
+
+export interface Area {
+    id: string;
+    name: string;
+    urlName: string | null;
+    country: Country | null;
+}
+
+export interface Venue {
+    id: string;
+    name: string;
+    contentUrl: string | null;
+    live: boolean | null;
+    /** Present for every query type since the area template also selects it. */
+    area: Area | null;
+}
+
+export interface Artist {
+    id: string;
+    name: string;
+}
+
+export interface Image {
+    id: string;
+    filename: string;
+    alt: string | null;
+    type: string;
+    crop: string | null;
+}
+
+export interface Pick {
+    id: string;
+    blurb: string | null;
+}
+
+export interface Ticket {
+    title: string;
+    price: number | string | null;
+    validType: string | null;
+    onSaleFrom: string | null;
+    onSaleUntil: string | null;
+    isAddOn: boolean | null;
+}
+
+export interface Event {
+    /** The RA.co event ID. */
+    id: string;
+    title: string;
+    /** The event date, local to the venue (e.g. "2025-08-20T00:00:00.000"). */
+    date: string | null;
+    /** The start time, local to the venue (e.g. "2025-08-20T23:00:00.000"). */
+    startTime: string | null;
+    /** The end time, local to the venue. */
+    endTime: string | null;
+    /**
+     * The start time as an ISO 8601 timestamp with the venue's UTC offset (e.g. "2025-08-20T23:00:00.000+01:00").
+     * Null when the venue's timezone isn't known. Missing from events exported before it was added.
+     */
+    startsAt?: string | null;
+    /** The end time as an ISO 8601 timestamp with the venue's UTC offset. */
+    endsAt?: string | null;
+    /** The IANA timezone of the venue (e.g. "Europe/London"). Null when it isn't known. */
+    timeZone?: string | null;
+    /** The names of the artists on the lineup. */
+    artists: string[];
+    /** The venue name. */
+    venue: string | null;
+    /** The event page path on ra.co (e.g. "/events/1234567"). */
+    contentUrl: string | null;
+    /** The number of people attending/interested. */
+    attending: number;
+    isTicketed: boolean | null;
+    queueItEnabled: boolean | null;
+    newEventForm: boolean | null;
+    /** The date the event is listed under. Listing queries have no listing wrapper, so this is the event date for them. */
+    listingDate: string | null;
+    /** The RA Pick for this event, if it is one. */
+    pick: Pick | null;
+    /** The URL of the front of the flyer. */
+    flyerFront: string | null;
+    images: Image[];
+    venueDetails: Venue | null;
+    artistDetails: Artist[];
+    /** The requested artist IDs this event was found for (multi-artist queries only). */
+    matchedArtists?: string[];
+    /** The event description (--details only). */
+    description?: string | null;
+    /** The running order as written by the promoter (--details only). */
+    lineup?: string | null;
+    /** Genre names (--details only). */
+    genres?: string[];
+    /** The door price as written by the promoter (--details only). */
+    cost?: string | null;
+    ageRestriction?: string | null;
+    minimumAge?: number | null;
+    /** Ticket tiers (--details only). */
+    tickets?: Ticket[];
+}
+
+export interface ValidationResult {
+    valid: boolean;
+    /** One message per problem, e.g. "/venueDetails/id is required". */
+    errors: string[];
+}
+
+/** The JSON Schema from event.schema.json. */
+export const EVENT_SCHEMA: object;
+
+/**
+ * Map an event from either GraphQL response shape onto the Event model.
+ * `startsAt`, `endsAt` and `timeZone` are null when the venue's timezone isn't known.
+ * @param item - A listing from `eventListings.data`, or an event from `listing.data`.
+ */
+export function normalizeEvent(item: object): Event;
+
+/**
+ * Check that a value matches the Event schema.
+ */
+export function validateEvent(event: unknown): ValidationResult;
@@ -0,0 +1,195 @@
+const EVENT_SCHEMA = require('./event.schema.json');
+const { toZonedTimestamp } = require('./dates');
+const { areaTimezone } = require('./timezones');
+
+/**
+ * The Event model shared by every output path (exporters, printer, store, watch notifications).
+ * RA.co returns events in two shapes: the area listing (GET_EVENT_LISTINGS) wraps each event in a
+ * listing (`{id, listingDate, event: {...}}`), while artist/venue/promoter listings (GET_DEFAULT_EVENTS_LISTING)
+ * return the event itself, with `interestedCount` instead of `attending`. normalizeEvent() maps both
+ * onto the schema in event.schema.json; typings are in eventModel.d.ts.
+ * RA.co times are local to the venue without an offset; `startsAt`/`endsAt` add the offset of the venue's timezone.
+ */
+
+/**
+ * Normalize an area.
+ * @param {Object} area - The raw area.
+ * @returns {Object|null} The normalized area.
+ */
+function normalizeArea(area) {
+    if (!area) {
+        return null;
+    }
+
+    return {
+        id: String(area.id),
+        name: area.name,
+        urlName: area.urlName || null,
+        country: area.country ? {
+            id: String(area.country.id),
+            name: area.country.name,
+            urlCode: area.country.urlCode || null
+        } : null
+    };
+}
+
+/**
+ * Normalize a venue.
+ * @param {Object} venue - The raw venue.
+ * @returns {Object|null} The normalized venue.
+ */
+function normalizeVenue(venue) {
+    if (!venue) {
+        return null;
+    }
+
+    return {
+        id: String(venue.id),
+        name: venue.name,
+        contentUrl: venue.contentUrl || null,
+        live: typeof venue.live === 'boolean' ? venue.live : null,
+        area: normalizeArea(venue.area)
+    };
+}
+
+/**
+ * Normalize the full event detail fetched with EventFetcher.fetchEventDetails().
+ * @param {Object} details - The raw event detail.
+ * @returns {Object} The detail fields of the Event model.
+ */
+function normalizeDetails(details) {
+    return {
+        description: details.content || null,
+        lineup: details.lineup || null,
+        genres: details.genres ? details.genres.map(genre => genre.name) : [],
+        cost: details.cost || null,
+        ageRestriction: details.ageRestriction || null,
+        minimumAge: details.minimumAge || null,
+        tickets: (details.tickets || []).map(ticket => ({
+            title: ticket.title,
+            price: ticket.priceRetail,
+            validType: ticket.validType,
+            onSaleFrom: ticket.onSaleFrom || null,
+            onSaleUntil: ticket.onSaleUntil || null,
+            isAddOn: ticket.isAddOn
+        }))
+    };
+}
+
+/**
+ * Map an event from either GraphQL response shape onto the Event model.
+ * `startsAt`, `endsAt` and `timeZone` are null when the venue's timezone isn't known: guessing one would give
+ * exact-looking times that are hours off.
+ * @param {Object} item - A listing from `eventListings.data`, or an event from `listing.data`.
+ * @returns {Object} The normalized event.
+ */
+function normalizeEvent(item) {
+    // Use item.event for the area query, or the item directly for listing queries
+    const eventData = item.event || item;
+    const artists = (eventData.artists || []).map(artist => ({ id: String(artist.id), name: artist.name }));
+    const timeZone = areaTimezone(eventData.venue?.area);
+
+    return {
+        title: eventData.title,
+        date: eventData.date || null,
+        startTime: eventData.startTime || null,
+        endTime: eventData.endTime || null,
+        startsAt: toZonedTimestamp(eventData.startTime, timeZone),
+        endsAt: toZonedTimestamp(eventData.endTime, timeZone),
+        timeZone,
+        artists: artists.map(artist => artist.name),
+        venue: eventData.venue ? eventData.venue.name : null,
+        contentUrl: eventData.contentUrl || null,
+        attending: eventData.attending || eventData.interestedCount || 0,
+        // Include additional metadata
+        id: String(eventData.id),
+        isTicketed: typeof eventData.isTicketed === 'boolean' ? eventData.isTicketed : null,
+        queueItEnabled: typeof eventData.queueItEnabled === 'boolean' ? eventData.queueItEnabled : null,
+        newEventForm: typeof eventData.newEventForm === 'boolean' ? eventData.newEventForm : null,
+        listingDate: (item.event ? item.listingDate : eventData.date) || null,
+        pick: eventData.pick ? { id: String(eventData.pick.id), blurb: eventData.pick.blurb || null } : null,
+        flyerFront: eventData.flyerFront || null,
+        images: (eventData.images || []).map(image => ({
+            id: String(image.id),
+            filename: image.filename,
+            alt: image.alt || null,
+            type: image.type,
+            crop: image.crop || null
+        })),
+        venueDetails: normalizeVenue(eventData.venue),
+        artistDetails: artists,
+        // Requested artist IDs this event was found for (multi-artist queries only)
+        ...(eventData.matchedArtists ? { matchedArtists: eventData.matchedArtists } : {}),
+        // Include full event detail if it was fetched with fetchEventDetails()
+        ...(eventData.details ? normalizeDetails(eventData.details) : {})
+    };
+}
+
+/**
+ * Get the JSON Schema type name of a value.
+ * @param {*} value - The value.
+ * @returns {string} The type name.
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Validate a value against a (sub)schema. Supports the keywords event.schema.json uses:
+ * type, required, properties, items and minimum.
+ * @param {*} value - The value to check.
+ * @param {Object} schema - The schema.
+ * @param {string} pointer - The path of the value, for error messages.
+ * @param {Array<string>} errors - Collected error messages.
+ */
+function validateValue(value, schema, pointer, errors) {
+    const types = [].concat(schema.type || []);
+    const actualType = typeOf(value);
+    const typeMatches = types.length === 0 || types.includes(actualType) || (actualType === 'integer' && types.includes('number'));
+
+    if (!typeMatches) {
+        errors.push(`${pointer || '/'} should be ${types.join(' or ')}, got ${actualType}`);
+        return;
+    }
+
+    if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+        errors.push(`${pointer} should be >= ${schema.minimum}`);
+    }
+
+    if (actualType === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push(`${pointer}/${key} is required`);
+            }
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) {
+                validateValue(value[key], propertySchema, `${pointer}/${key}`, errors);
+            }
+        }
+    }
+
+    if (actualType === 'array' && schema.items) {
+        value.forEach((item, index) => validateValue(item, schema.items, `${pointer}/${index}`, errors));
+    }
+}
+
+/**
+ * Check that a value matches the Event schema.
+ * @param {*} event - The value to check, e.g. a record read back from an exported file.
+ * @returns {{valid: boolean, errors: Array<string>}} The validation result, with one message per problem.
+ */
+function validateEvent(event) {
+    const errors = [];
+    validateValue(event, EVENT_SCHEMA, '', errors);
+    return { valid: errors.length === 0, errors };
+}
+
+module.exports = {
+    EVENT_SCHEMA,
+    normalizeEvent,
+    validateEvent
+};
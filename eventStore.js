@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_STORE_FILE = 'events-store.jsonl';
+// Record fields compared between runs to detect changed events
+const TRACKED_FIELDS = ['title', 'date', 'startTime', 'endTime', 'venue', 'artists', 'attending'];
+
+class EventStore {
+    /**
+     * A persistent JSON-lines store of events keyed by event ID.
+     * Each line holds one entry: the latest event record plus when it was first/last seen,
+     * when it disappeared (if it did) and which queries returned it.
+     * @param {string} file - The store file path. (default: "events-store.jsonl")
+     */
+    constructor(file = DEFAULT_STORE_FILE) {
+        this.file = file;
+        this.entries = this.load();
+    }
+
+    /**
+     * Build a key identifying a query, so removals are only detected for events the same query returned before.
+     * @param {Object} query - The resolved query.
+     * @param {number} query.area - The area ID.
+     * @param {Array<number>} query.areas - The area IDs, for multi-area queries.
+     * @param {Array<string>} query.artists - The artist IDs.
+     * @param {number} query.venue - The venue ID.
+     * @param {number} query.promoter - The promoter ID.
+     * @param {Array<string>} query.genres - The genre filters.
+     * @param {boolean} query.past - Whether the query lists past events.
+     * @returns {string} The query key.
+     */
+    static queryKey(query) {
+        return JSON.stringify({
+            area: query.area ? String(query.area) : null,
+            artists: (query.artists || []).map(String).sort(),
+            venue: query.venue ? String(query.venue) : null,
+            promoter: query.promoter ? String(query.promoter) : null,
+            // Only part of the key when set, so keys from before genre filtering and multi-area queries still match
+            ...(query.areas && query.areas.length > 1 ? { areas: query.areas.map(String).sort() } : {}),
+            ...(query.genres && query.genres.length > 0 ? { genres: [...query.genres].sort() } : {}),
+            ...(query.past ? { past: true } : {})
+        });
+    }
+
+    /**
+     * Check whether an event is in the store.
+     * @param {string} eventId - The event ID.
+     * @returns {boolean} True if the event has been stored before.
+     */
+    has(eventId) {
+        return this.entries.has(String(eventId));
+    }
+
+    /**
+     * Check whether a query has returned an event before.
+     * @param {string} eventId - The event ID.
+     * @param {string} queryKey - The query key.
+     * @returns {boolean} True if the event is stored and the query was one of those that returned it.
+     */
+    hasForQuery(eventId, queryKey) {
+        const entry = this.entries.get(String(eventId));
+        return Boolean(entry) && entry.queries.includes(queryKey);
+    }
+
+    /**
+     * Check whether a query has stored any events before.
+     * @param {string} queryKey - The query key.
+     * @returns {boolean} True if at least one stored event was returned by the query.
+     */
+    hasQuery(queryKey) {
+        for (const entry of this.entries.values()) {
+            if (entry.queries.includes(queryKey)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Upsert fetched event records and work out what changed since the last sync.
+     * @param {Array} records - Event records as produced by EventFetcher.buildOutput().
+     * @param {Object} options - Sync options.
+     * @param {string} options.queryKey - The key of the query that fetched the records.
+     * @param {string} options.from - The start of the queried date range; older events aren't reported as removed.
+     * @param {string} options.to - The end of the queried date range, if any.
+     * @param {boolean} options.detectRemovals - Whether to mark stored events missing from `records` as removed. (default: true)
+     * @param {Date} options.now - The sync time. (default: now)
+     * @returns {{syncedAt: string, added: Array, removed: Array, changed: Array<{record: Object, changes: Array}>}} The diff.
+     */
+    sync(records, { queryKey, from = null, to = null, detectRemovals = true, now = new Date() } = {}) {
+        const timestamp = now.toISOString();
+        const diff = { syncedAt: timestamp, added: [], removed: [], changed: [] };
+        const seenIds = new Set();
+
+        for (const record of records) {
+            const id = String(record.id);
+            const entry = this.entries.get(id);
+            seenIds.add(id);
+
+            if (!entry || entry.removedAt) {
+                // New events, and events that come back after being removed, are reported as added
+                diff.added.push(record);
+                this.entries.set(id, {
+                    id,
+                    firstSeen: entry ? entry.firstSeen : timestamp,
+                    lastSeen: timestamp,
+                    removedAt: null,
+                    queries: this.addQuery(entry ? entry.queries : [], queryKey),
+                    record
+                });
+                continue;
+            }
+
+            const changes = this.compare(entry.record, record);
+            if (changes.length > 0) {
+                diff.changed.push({ record, changes });
+            }
+
+            entry.record = record;
+            entry.lastSeen = timestamp;
+            entry.queries = this.addQuery(entry.queries, queryKey);
+        }
+
+        if (detectRemovals) {
+            const fromDate = from ? from.slice(0, 10) : null;
+            const toDate = to ? to.slice(0, 10) : null;
+
+            for (const entry of this.entries.values()) {
+                const eventDate = (entry.record.date || '').slice(0, 10);
+                const inRange = (!fromDate || eventDate >= fromDate) && (!toDate || eventDate <= toDate);
+
+                if (!seenIds.has(entry.id) && !entry.removedAt && entry.queries.includes(queryKey) && inRange) {
+                    entry.removedAt = timestamp;
+                    diff.removed.push(entry.record);
+                }
+            }
+        }
+
+        return diff;
+    }
+
+    /**
+     * Compare the tracked fields of two versions of an event record.
+     * @param {Object} previous - The stored record.
+     * @param {Object} current - The freshly fetched record.
+     * @returns {Array<{field: string, from: *, to: *}>} The changed fields.
+     */
+    compare(previous, current) {
+        const changes = [];
+
+        for (const field of TRACKED_FIELDS) {
+            const from = previous[field] === undefined ? null : previous[field];
+            const to = current[field] === undefined ? null : current[field];
+
+            if (JSON.stringify(from) !== JSON.stringify(to)) {
+                changes.push({ field, from, to });
+            }
+        }
+
+        return changes;
+    }
+
+    /**
+     * Add a query key to a list of query keys, without duplicates.
+     * @param {Array<string>} queries - The existing query keys.
+     * @param {string} queryKey - The query key to add.
+     * @returns {Array<string>} The updated query keys.
+     */
+    addQuery(queries, queryKey) {
+        return !queryKey || queries.includes(queryKey) ? queries : [...queries, queryKey];
+    }
+
+    /**
+     * Load the store from disk.
+     * @returns {Map<string, Object>} The entries keyed by event ID.
+     */
+    load() {
+        const entries = new Map();
+        if (!fs.existsSync(this.file)) {
+            return entries;
+        }
+
+        const lines = fs.readFileSync(this.file, 'utf8').split('\n').filter(line => line.trim().length > 0);
+        for (const line of lines) {
+            const entry = JSON.parse(line);
+            entries.set(entry.id, entry);
+        }
+
+        return entries;
+    }
+
+    /**
+     * Write the store to disk. Writes to a temporary file first so a crash can't leave a half-written store.
+     */
+    save() {
+        const directory = path.dirname(this.file);
+        fs.mkdirSync(directory, { recursive: true });
+
+        const temporaryFile = `${this.file}.tmp`;
+        const lines = Array.from(this.entries.values()).map(entry => JSON.stringify(entry) + '\n');
+        fs.writeFileSync(temporaryFile, lines.join(''));
+        fs.renameSync(temporaryFile, this.file);
+    }
+}
+
+module.exports = EventStore;
+module.exports.DEFAULT_STORE_FILE = DEFAULT_STORE_FILE;
@@ -0,0 +1,152 @@
+/**
+ * Terminal table of events for the list command: one aligned row per event, with RA Picks and ticketed events
+ * highlighted when the output is a terminal.
+ */
+
+const ANSI = {
+    reset: '\x1b[0m',
+    bold: '\x1b[1m',
+    dim: '\x1b[2m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m'
+};
+const PICK_MARKER = '★';
+const ELLIPSIS = '…';
+
+/**
+ * Get the "HH:MM" part of an RA.co local date-time.
+ * @param {string} value - The date-time, e.g. "2025-09-05T23:00:00.000".
+ * @returns {string} The time, or "" if there is none.
+ */
+function timeOf(value) {
+    return value ? value.slice(11, 16) : '';
+}
+
+// The columns, with their header, how to get the cell text and how wide they may get
+const FIELDS = {
+    date: { header: 'Date', value: event => (event.date || '').slice(0, 10) },
+    time: { header: 'Time', value: event => (event.startTime ? `${timeOf(event.startTime)}-${timeOf(event.endTime)}`.replace(/-$/, '') : '') },
+    title: { header: 'Title', value: event => `${event.pick ? `${PICK_MARKER} ` : ''}${event.title || ''}`, maxWidth: 40 },
+    artists: { header: 'Artists', value: event => (event.artists || []).join(', '), maxWidth: 40 },
+    venue: { header: 'Venue', value: event => event.venue || '', maxWidth: 24 },
+    area: { header: 'Area', value: event => event.venueDetails?.area?.name || '', maxWidth: 20 },
+    attending: { header: 'Attending', value: event => String(event.attending ?? ''), align: 'right' },
+    tickets: { header: 'Tickets', value: event => (event.isTicketed === true ? 'yes' : event.isTicketed === false ? 'no' : '') },
+    pick: { header: 'Pick', value: event => (event.pick ? event.pick.blurb || 'yes' : ''), maxWidth: 50 },
+    genres: { header: 'Genres', value: event => (event.genres || []).join(', '), maxWidth: 30 },
+    startsAt: { header: 'Starts at', value: event => event.startsAt || '' },
+    id: { header: 'ID', value: event => event.id },
+    url: { header: 'URL', value: event => (event.contentUrl ? `https://ra.co${event.contentUrl}` : '') }
+};
+const DEFAULT_FIELDS = ['date', 'time', 'title', 'artists', 'venue', 'attending', 'tickets'];
+
+// Sort orders; ties keep date order
+const SORTS = {
+    date: (a, b) => startOf(a).localeCompare(startOf(b)),
+    attending: (a, b) => (b.attending || 0) - (a.attending || 0),
+    venue: (a, b) => (a.venue || '').localeCompare(b.venue || '')
+};
+
+/**
+ * Get the sortable start of an event: the exact start when the offset is known, else the local start or date.
+ * @param {Object} event - The event record.
+ * @returns {string} A string that sorts by start.
+ */
+function startOf(event) {
+    return (event.startsAt ? new Date(event.startsAt).toISOString() : event.startTime || event.date) || '';
+}
+
+/**
+ * Check a list of field names.
+ * @param {Array<string>} fields - The field names, e.g. from the --fields option. (default: the default columns)
+ * @returns {Array<string>} The same fields, or the defaults if the list is empty.
+ * @throws {Error} If a field isn't known.
+ */
+function parseFields(fields) {
+    if (!fields || fields.length === 0) {
+        return DEFAULT_FIELDS;
+    }
+    for (const field of fields) {
+        if (!FIELDS[field]) {
+            throw new Error(`Unknown field "${field}". Fields: ${Object.keys(FIELDS).join(', ')}`);
+        }
+    }
+    return fields;
+}
+
+/**
+ * Sort events, leaving the list given as it is.
+ * @param {Array<Object>} events - The event records.
+ * @param {string} sort - "date" (earliest first), "attending" (most first) or "venue" (A to Z). (default: "date")
+ * @param {boolean} reverse - Whether to reverse the order. (default: false)
+ * @returns {Array<Object>} The sorted events.
+ * @throws {Error} If the sort order isn't known.
+ */
+function sortEvents(events, sort = 'date', reverse = false) {
+    if (!SORTS[sort]) {
+        throw new Error(`Unknown sort order "${sort}". Sort by: ${Object.keys(SORTS).join(', ')}`);
+    }
+    const sorted = [...events].sort((a, b) => SORTS[sort](a, b) || SORTS.date(a, b));
+    return reverse ? sorted.reverse() : sorted;
+}
+
+/**
+ * Cut a cell to a width, ending it with an ellipsis if it's too long.
+ * @param {string} text - The cell text.
+ * @param {number} width - The maximum width.
+ * @returns {string} The text.
+ */
+function truncate(text, width) {
+    const characters = Array.from(text.replace(/\s+/g, ' '));
+    return characters.length > width ? characters.slice(0, width - 1).join('') + ELLIPSIS : characters.join('');
+}
+
+/**
+ * Render events as a table with aligned columns.
+ * @param {Array<Object>} events - The event records, in the order to show them.
+ * @param {Object} options - Table options.
+ * @param {Array<string>} options.fields - The columns, see FIELDS. (default: date, time, title, artists, venue,
+ *                                        attending, tickets)
+ * @param {boolean} options.color - Whether to highlight picks (yellow, with their blurb underneath) and ticketed
+ *                                  events (green) with ANSI colours. (default: false)
+ * @returns {string} The table, one line per event after the header, without a trailing newline.
+ */
+function formatTable(events, { fields = DEFAULT_FIELDS, color = false } = {}) {
+    const columns = parseFields(fields).map(name => ({ name, ...FIELDS[name] }));
+    const rows = events.map(event => columns.map(column => truncate(column.value(event), column.maxWidth || Infinity)));
+    const widths = columns.map((column, index) => Math.max(column.header.length, ...rows.map(row => Array.from(row[index]).length)));
+    const paint = (text, ...styles) => (color && styles.length > 0 ? styles.map(style => ANSI[style]).join('') + text + ANSI.reset : text);
+    // Styles go around the text only, so the padding never shows up highlighted
+    const pad = (text, index, ...styles) => {
+        const padding = ' '.repeat(widths[index] - Array.from(text).length);
+        return columns[index].align === 'right' ? padding + paint(text, ...styles) : paint(text, ...styles) + padding;
+    };
+    // Trailing spaces would only wrap narrow terminals
+    const join = cells => cells.join('  ').replace(/\s+$/, '');
+
+    const lines = [paint(join(columns.map((column, index) => pad(column.header, index))), 'bold')];
+    events.forEach((event, eventIndex) => {
+        const cells = rows[eventIndex].map((text, index) => {
+            const name = columns[index].name;
+            if (event.pick && name === 'title') return pad(text, index, 'bold', 'yellow');
+            if (event.isTicketed && name === 'tickets') return pad(text, index, 'green');
+            return pad(text, index);
+        });
+        lines.push(join(cells));
+        // Without a pick column, picks get their blurb on a line of its own
+        if (color && event.pick && event.pick.blurb && !fields.includes('pick')) {
+            lines.push(paint(`    ${PICK_MARKER} ${event.pick.blurb.replace(/\s+/g, ' ')}`, 'dim', 'yellow'));
+        }
+    });
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    DEFAULT_FIELDS,
+    FIELD_NAMES: Object.keys(FIELDS),
+    SORT_ORDERS: Object.keys(SORTS),
+    parseFields,
+    sortEvents,
+    formatTable
+};
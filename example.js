@@ -1,117 +1,60 @@
-const EventFetcher = require('./eventFetcher');
+const { createClient, writeOutput } = require('./index');
 
 /**
- * Example usage of the EventFetcher class
+ * Example usage of the library API
  */
 async function example() {
     console.log('RA.co Event Fetcher Example');
     console.log('============================\n');
 
+    // Pass `logger: console` to see progress; the client is silent by default
+    const client = createClient({ logger: console });
+
     try {
-        // Example 1: Area-based filtering (London area 13)
+        // Example 1: Area-based filtering (London area 13), from today onwards
         console.log('Example 1: Area-based filtering for London...\n');
-        
-        // Use current day onwards (no end date)
-        const today = new Date();
-        const todayGte = today.toISOString().split('T')[0] + 'T00:00:00.000Z';
-        
-        const areaEventFetcher = new EventFetcher(
-            13, // London area code
-            0,  // No artist filter
-            todayGte, // Current day onwards
-            null  // No end date limit
-        );
-
-        const areaEvents = await areaEventFetcher.fetchEventsWithPageLimit(1); // Default to 1 page
-        if (areaEvents.length > 0) {
-            await areaEventFetcher.saveEventsToJson(areaEvents, 'example_area_events.json');
-            console.log(`Successfully saved ${areaEvents.length} area-based events to example_area_events.json`);
+        const areaEvents = await client.fetchAll({ area: 13, maxPages: 1 });
+        if (areaEvents.events.length > 0) {
+            writeOutput(areaEvents, 'example_area_events.json');
+            console.log(`Successfully saved ${areaEvents.events.length} area-based events to example_area_events.json`);
         }
 
         // Example 2: Artist-based filtering (Rival Consoles - ID 44361)
         console.log('\nExample 2: Artist-based filtering for Rival Consoles...\n');
-        const artistEventFetcher = new EventFetcher(
-            0, // No area filter for artist queries
-            44361, // Artist ID for Rival Consoles
-            todayGte, // Current day onwards
-            null  // No end date limit
-        );
-
-        const artistEvents = await artistEventFetcher.fetchEventsWithPageLimit(1); // Default to 1 page
-        if (artistEvents.length > 0) {
-            await artistEventFetcher.saveEventsToJson(artistEvents, 'example_artist_events.json');
-            console.log(`Successfully saved ${artistEvents.length} artist-based events to example_artist_events.json`);
+        const artistEvents = await client.fetchAll({ artist: 44361, maxPages: 1 });
+        if (artistEvents.events.length > 0) {
+            writeOutput(artistEvents, 'example_artist_events.json');
+            console.log(`Successfully saved ${artistEvents.events.length} artist-based events to example_artist_events.json`);
         } else {
             console.log('No events found for the specified artist and date range');
         }
 
-        // Example 2.5: Multi-artist filtering
+        // Example 2.5: Multi-artist filtering, events featuring both artists are only listed once
         console.log('\nExample 2.5: Multi-artist filtering for Rival Consoles and Seth Troxler...\n');
-        const artistIds = ['44361', '1013']; // Rival Consoles and Seth Troxler
-        let allMultiArtistEvents = [];
-        
-        for (let i = 0; i < artistIds.length; i++) {
-            const artistId = artistIds[i];
-            console.log(`[${i + 1}/${artistIds.length}] Fetching events for artist ID: ${artistId}`);
-            
-            const multiArtistEventFetcher = new EventFetcher(
-                0, // No area filter for artist queries
-                artistId, // Artist ID
-                todayGte, // Current day onwards
-                null  // No end date limit
-            );
-            
-            const multiArtistEvents = await multiArtistEventFetcher.fetchEventsWithPageLimit(1);
-            console.log(`Found ${multiArtistEvents.length} events for artist ${artistId}`);
-            allMultiArtistEvents.push(...multiArtistEvents);
-            
-            // Add delay between requests
-            if (i < artistIds.length - 1) {
-                console.log('Waiting 2 seconds before next artist query...');
-                await new Promise(resolve => setTimeout(resolve, 2000));
-            }
-        }
-        
-        if (allMultiArtistEvents.length > 0) {
-            const combinedEventFetcher = new EventFetcher(0, artistIds[0], todayGte, null);
-            await combinedEventFetcher.saveEventsToJson(allMultiArtistEvents, 'example_multi_artist_events.json', null, artistIds.join(','));
-            console.log(`Successfully saved ${allMultiArtistEvents.length} multi-artist events to example_multi_artist_events.json`);
+        const multiArtistEvents = await client.fetchAll({ artists: ['44361', '1013'], maxPages: 1 });
+        if (multiArtistEvents.events.length > 0) {
+            writeOutput(multiArtistEvents, 'example_multi_artist_events.json');
+            console.log(`Successfully saved ${multiArtistEvents.events.length} multi-artist events to example_multi_artist_events.json`);
         } else {
             console.log('No events found for the specified artists and date range');
         }
 
-        // Example 3: Multiple pages
-        console.log('\nExample 3: Fetching multiple pages...\n');
-        const multiPageEventFetcher = new EventFetcher(
-            13, // London area
-            0,  // No artist filter
-            todayGte, // Current day onwards
-            null  // No end date limit
-        );
-
-        const multiPageEvents = await multiPageEventFetcher.fetchEventsWithPageLimit(3); // Fetch 3 pages
-        if (multiPageEvents.length > 0) {
-            await multiPageEventFetcher.saveEventsToJson(multiPageEvents, 'example_multipage_events.json');
-            console.log(`Successfully saved ${multiPageEvents.length} multi-page events to example_multipage_events.json`);
+        // Example 3: Streaming several pages, handling each event as it arrives
+        console.log('\nExample 3: Streaming multiple pages...\n');
+        let count = 0;
+        for await (const event of client.events({ area: 13, maxPages: 3 })) {
+            count++;
+            console.log(`${event.date.slice(0, 10)}  ${event.title} @ ${event.venue || 'N/A'}`);
         }
+        console.log(`Streamed ${count} events`);
 
         // Example 4: Custom date range
         console.log('\nExample 4: Custom date range...\n');
-        const customDateEventFetcher = new EventFetcher(
-            13, // London area
-            0,  // No artist filter
-            '2025-08-20T00:00:00.000Z', // Custom start date
-            '2025-08-25T23:59:59.999Z'  // Custom end date
-        );
-
-        const customDateEvents = await customDateEventFetcher.fetchEventsWithPageLimit(1); // Fetch 1 page
-        if (customDateEvents.length > 0) {
-            await customDateEventFetcher.saveEventsToJson(customDateEvents, 'example_custom_date_events.json');
-            console.log(`Successfully saved ${customDateEvents.length} custom date range events to example_custom_date_events.json`);
+        const customDateEvents = await client.fetchAll({ area: 13, from: '2025-08-20', to: '2025-08-25', maxPages: 1 });
+        if (customDateEvents.events.length > 0) {
+            writeOutput(customDateEvents, 'example_custom_date_events.json');
+            console.log(`Successfully saved ${customDateEvents.events.length} custom date range events to example_custom_date_events.json`);
         }
-
-
-
     } catch (error) {
         console.error('Error:', error.message);
     }
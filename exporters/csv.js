@@ -0,0 +1,53 @@
+/**
+ * CSV with one row per event. Artists, venue and area are flattened into plain columns
+ * so the file opens cleanly in a spreadsheet.
+ */
+const COLUMNS = [
+    ['id', record => record.id],
+    ['title', record => record.title],
+    ['date', record => record.date],
+    ['startTime', record => record.startTime],
+    ['endTime', record => record.endTime],
+    ['artists', record => (record.artists || []).join('; ')],
+    ['artistIds', record => (record.artistDetails || []).map(artist => artist.id).join('; ')],
+    ['venue', record => record.venue],
+    ['venueId', record => record.venueDetails?.id],
+    ['area', record => record.venueDetails?.area?.name],
+    ['country', record => record.venueDetails?.area?.country?.name],
+    ['url', record => record.contentUrl ? `https://ra.co${record.contentUrl}` : null],
+    ['attending', record => record.attending],
+    ['isTicketed', record => record.isTicketed],
+    ['matchedArtists', record => (record.matchedArtists || []).join('; ')],
+    ['genres', record => (record.genres || []).join('; ')],
+    ['cost', record => record.cost],
+    ['minimumAge', record => record.minimumAge],
+    ['startsAt', record => record.startsAt],
+    ['endsAt', record => record.endsAt],
+    ['timeZone', record => record.timeZone]
+];
+
+/**
+ * Quote a value for CSV (RFC 4180).
+ * @param {*} value - The cell value.
+ * @returns {string} The escaped cell.
+ */
+function escapeCell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = {
+    format: 'csv',
+    extensions: ['.csv'],
+    serialize(output) {
+        const rows = [COLUMNS.map(([name]) => name)];
+        for (const record of output.events) {
+            rows.push(COLUMNS.map(([, getValue]) => getValue(record)));
+        }
+        return rows.map(row => row.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+    }
+};
@@ -0,0 +1,133 @@
+/**
+ * iCalendar (.ics) feed with one VEVENT per event, for subscribing from a calendar app.
+ * RA.co times are local to the venue: events with `startsAt` (the venue's timezone is known) get UTC times,
+ * the rest floating times.
+ */
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a text value (RFC 5545 section 3.3.11).
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to at most 75 octets per line (RFC 5545 section 3.1).
+ * @param {string} line - The content line.
+ * @returns {string} The folded line.
+ */
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let currentOctets = 0;
+
+    for (const char of line) {
+        const octets = Buffer.byteLength(char);
+        // Continuation lines start with a space, which counts towards their length
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (currentOctets + octets > limit) {
+            parts.push(current);
+            current = '';
+            currentOctets = 0;
+        }
+        current += char;
+        currentOctets += octets;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * Format an RA.co local date-time ("2025-08-20T23:00:00.000") as an iCalendar floating date-time.
+ * @param {string} value - The date-time.
+ * @returns {string|null} The iCalendar value (e.g. "20250820T230000"), or null if it can't be parsed.
+ */
+function formatLocalDateTime(value) {
+    const match = value && value.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})/);
+    return match ? `${match[1]}${match[2]}${match[3]}T${match[4]}${match[5]}${match[6]}` : null;
+}
+
+/**
+ * Format a date as an iCalendar UTC date-time.
+ * @param {string} isoString - An ISO 8601 timestamp.
+ * @returns {string} The iCalendar value (e.g. "20250820T230000Z").
+ */
+function formatUtcDateTime(isoString) {
+    return new Date(isoString).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Build the content lines for a single event.
+ * @param {Object} record - The event record.
+ * @param {string} timestamp - The DTSTAMP value.
+ * @returns {Array<string>} The unfolded content lines.
+ */
+function buildEvent(record, timestamp) {
+    const lines = ['BEGIN:VEVENT', `UID:${record.id}@ra.co`, `DTSTAMP:${timestamp}`];
+
+    const start = record.startsAt ? formatUtcDateTime(record.startsAt) : formatLocalDateTime(record.startTime);
+    const end = record.endsAt ? formatUtcDateTime(record.endsAt) : formatLocalDateTime(record.endTime);
+    if (start) {
+        lines.push(`DTSTART:${start}`);
+        if (end) lines.push(`DTEND:${end}`);
+    } else if (record.date) {
+        lines.push(`DTSTART;VALUE=DATE:${record.date.slice(0, 10).replace(/-/g, '')}`);
+    }
+
+    lines.push(`SUMMARY:${escapeText(record.title || 'Untitled event')}`);
+
+    const area = record.venueDetails?.area?.name;
+    if (record.venue) {
+        lines.push(`LOCATION:${escapeText(area ? `${record.venue}, ${area}` : record.venue)}`);
+    }
+
+    const url = record.contentUrl ? `https://ra.co${record.contentUrl}` : null;
+    if (url) {
+        lines.push(`URL:${url}`);
+    }
+
+    const description = [];
+    if (record.artists && record.artists.length > 0) {
+        description.push(`Artists: ${record.artists.join(', ')}`);
+    }
+    if (url) {
+        description.push(url);
+    }
+    if (description.length > 0) {
+        lines.push(`DESCRIPTION:${escapeText(description.join('\n'))}`);
+    }
+
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+module.exports = {
+    format: 'ics',
+    extensions: ['.ics'],
+    serialize(output) {
+        const timestamp = formatUtcDateTime(output.metadata.generatedAt);
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//resident-advisor-events-scraper//RA.co events//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            'X-WR-CALNAME:RA.co events'
+        ];
+
+        for (const record of output.events) {
+            lines.push(...buildEvent(record, timestamp));
+        }
+
+        lines.push('END:VCALENDAR');
+        return lines.map(foldLine).join('\r\n') + '\r\n';
+    }
+};
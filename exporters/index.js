@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+
+const exporters = new Map();
+
+/**
+ * Register an exporter so it can be used with --format and inferred from output file extensions.
+ * @param {Object} exporter - The exporter.
+ * @param {string} exporter.format - The format name (e.g. "csv").
+ * @param {Array<string>} exporter.extensions - File extensions handled by the exporter (e.g. [".csv"]).
+ * @param {Function} exporter.serialize - Turns an output document ({metadata, events}) into file contents.
+ */
+function registerExporter(exporter) {
+    exporters.set(exporter.format, exporter);
+}
+
+/**
+ * Get the exporter for a format.
+ * @param {string} format - The format name.
+ * @returns {Object} The exporter.
+ * @throws {Error} If no exporter is registered for the format.
+ */
+function getExporter(format) {
+    const exporter = exporters.get(format);
+    if (!exporter) {
+        throw new Error(`Unknown output format "${format}". Available formats: ${listFormats().join(', ')}`);
+    }
+    return exporter;
+}
+
+/**
+ * Infer the export format from an output file path.
+ * @param {string} outputFile - The output file path.
+ * @returns {string} The format name, "json" if the extension isn't recognised.
+ */
+function inferFormat(outputFile) {
+    const extension = path.extname(outputFile || '').toLowerCase();
+    for (const exporter of exporters.values()) {
+        if (exporter.extensions.includes(extension)) {
+            return exporter.format;
+        }
+    }
+    return 'json';
+}
+
+/**
+ * List the registered format names.
+ * @returns {Array<string>} The format names.
+ */
+function listFormats() {
+    return Array.from(exporters.keys());
+}
+
+/**
+ * Serialize an output document and write it to a file.
+ * @param {Object} output - The output document ({metadata, events}).
+ * @param {string} outputFile - The output file path.
+ * @param {string} format - The format name. (default: inferred from the output file extension)
+ */
+function writeOutput(output, outputFile, format = null) {
+    const exporter = getExporter(format || inferFormat(outputFile));
+    fs.writeFileSync(outputFile, exporter.serialize(output));
+}
+
+registerExporter(require('./json'));
+registerExporter(require('./ndjson'));
+registerExporter(require('./csv'));
+registerExporter(require('./ics'));
+
+module.exports = {
+    registerExporter,
+    getExporter,
+    inferFormat,
+    listFormats,
+    writeOutput
+};
@@ -0,0 +1,10 @@
+/**
+ * Pretty-printed JSON document with metadata and events.
+ */
+module.exports = {
+    format: 'json',
+    extensions: ['.json'],
+    serialize(output) {
+        return JSON.stringify({ metadata: output.metadata, events: output.events }, null, 2);
+    }
+};
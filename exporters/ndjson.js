@@ -0,0 +1,10 @@
+/**
+ * Newline-delimited JSON, one event record per line (metadata is left out).
+ */
+module.exports = {
+    format: 'ndjson',
+    extensions: ['.ndjson', '.jsonl'],
+    serialize(output) {
+        return output.events.map(event => JSON.stringify(event) + '\n').join('');
+    }
+};
@@ -0,0 +1,347 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const { TokenBucket, sleep } = require('./rateLimiter');
+const {
+    HttpError,
+    BadRequestError,
+    RateLimitedError,
+    TimeoutError,
+    NetworkError,
+    AbortError,
+    GraphQLError,
+    SchemaChangedError
+} = require('./errors');
+
+const URL = 'https://ra.co/graphql';
+const HEADERS = {
+    'Content-Type': 'application/json',
+    'Referer': 'https://ra.co/events/uk/london',
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:106.0) Gecko/20100101 Firefox/106.0'
+};
+const DEFAULT_OPTIONS = {
+    retries: 3, // Retries after the first attempt
+    backoff: 1000, // Base delay for exponential backoff, in ms
+    maxBackoff: 30000, // Upper bound for a single backoff delay, in ms
+    timeout: 15000, // Per-request timeout, in ms
+    rate: 1, // Requests per second
+    burst: 1 // Requests that may be sent back to back before the rate applies
+};
+// GraphQL validation messages that mean the query no longer matches RA.co's schema
+const SCHEMA_ERROR_PATTERN = /Cannot query field|Unknown argument|Unknown type|Unknown fragment|of type .* must have a selection|Field .* argument .* is required|Expected type/i;
+
+const templateCache = new Map();
+
+/**
+ * Load a GraphQL query template from the project directory.
+ * Each template file is read once; every call parses a fresh copy that the caller can fill in.
+ * @param {string} templateName - The template file name (e.g. "graphql_query_template.json").
+ * @returns {Object} A fresh copy of the parsed template.
+ */
+function loadTemplate(templateName) {
+    if (!templateCache.has(templateName)) {
+        const templatePath = path.join(__dirname, templateName);
+        templateCache.set(templateName, fs.readFileSync(templatePath, 'utf8'));
+    }
+    return JSON.parse(templateCache.get(templateName));
+}
+
+/**
+ * The default transport: sends a request with axios.
+ * A transport takes {url, payload, headers, timeout, signal} and resolves to {status, headers, data}
+ * for any HTTP response; it only rejects when no response arrived (timeouts use code "ETIMEDOUT").
+ * @param {Object} request - The request to send.
+ * @returns {Promise<{status: number, headers: Object, data: *}>} The response.
+ */
+async function axiosTransport({ url, payload, headers, timeout, signal }) {
+    const response = await axios.post(url, payload, {
+        headers,
+        timeout,
+        signal: signal || undefined,
+        validateStatus: () => true
+    });
+    return { status: response.status, headers: response.headers, data: response.data };
+}
+
+/**
+ * Create a transport from a WHATWG fetch function, e.g. to use the global fetch or a test double.
+ * @param {Function} fetchFunction - The fetch function. (default: globalThis.fetch)
+ * @returns {Function} The transport.
+ */
+function createFetchTransport(fetchFunction = globalThis.fetch) {
+    return async ({ url, payload, headers, timeout, signal }) => {
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        const timer = setTimeout(() => controller.abort(), timeout);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+        try {
+            const response = await fetchFunction(url, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(payload),
+                signal: controller.signal
+            });
+            const text = await response.text();
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                data = text;
+            }
+
+            const responseHeaders = {};
+            response.headers.forEach((value, name) => {
+                responseHeaders[name.toLowerCase()] = value;
+            });
+            return { status: response.status, headers: responseHeaders, data };
+        } catch (error) {
+            if (controller.signal.aborted && !(signal && signal.aborted)) {
+                error.code = 'ETIMEDOUT';
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+    };
+}
+
+/**
+ * Parse a Retry-After header value.
+ * @param {string} value - The header value, either seconds or an HTTP date.
+ * @returns {number|null} The delay in milliseconds, or null if missing/invalid.
+ */
+function parseRetryAfter(value) {
+    if (!value) {
+        return null;
+    }
+
+    if (/^\d+$/.test(value.trim())) {
+        return parseInt(value) * 1000;
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Check that a client option is a finite number within range.
+ * @param {string} name - The option name, for the error message.
+ * @param {number} value - The option value.
+ * @param {Object} limits - What the value may be.
+ * @param {boolean} limits.positive - Whether 0 is out of range. (default: false)
+ * @param {boolean} limits.integer - Whether the value must be a whole number. (default: false)
+ * @throws {Error} If the value is out of range.
+ */
+function checkNumberOption(name, value, { positive = false, integer = false } = {}) {
+    const valid = typeof value === 'number' && Number.isFinite(value) && (positive ? value > 0 : value >= 0)
+        && (!integer || Number.isInteger(value));
+    if (!valid) {
+        const expected = `${positive ? 'a positive' : 'a non-negative'} ${integer ? 'whole number' : 'number'}`;
+        throw new Error(`Invalid ${name} ${value}: expected ${expected}.`);
+    }
+}
+
+class GraphQLClient {
+    /**
+     * A class to send GraphQL requests to RA.co with retries, backoff, timeouts and rate limiting.
+     * @param {Object} options - Client options, see DEFAULT_OPTIONS.
+     * @param {string} options.url - The GraphQL endpoint. (default: $RA_GRAPHQL_URL or https://ra.co/graphql)
+     * @param {Object} options.headers - Extra request headers.
+     * @param {TokenBucket} options.rateLimiter - A shared rate limiter. Created from `rate` and `burst` if omitted.
+     * @param {Function} options.transport - Sends the HTTP request, see axiosTransport(). (default: axios)
+     * @throws {Error} If a numeric option is missing its number, e.g. a NaN from an unparseable command line value.
+     */
+    constructor(options = {}) {
+        const settings = { ...DEFAULT_OPTIONS };
+        for (const [key, value] of Object.entries(options)) {
+            if (value !== undefined) settings[key] = value;
+        }
+        checkNumberOption('retries', settings.retries, { integer: true });
+        checkNumberOption('backoff', settings.backoff);
+        checkNumberOption('maxBackoff', settings.maxBackoff);
+        checkNumberOption('timeout', settings.timeout, { positive: true });
+
+        this.url = options.url || process.env.RA_GRAPHQL_URL || URL;
+        this.headers = { ...HEADERS, ...options.headers };
+        this.retries = settings.retries;
+        this.backoff = settings.backoff;
+        this.maxBackoff = settings.maxBackoff;
+        this.timeout = settings.timeout;
+        this.rateLimiter = options.rateLimiter || new TokenBucket({ rate: settings.rate, burst: settings.burst });
+        this.transport = options.transport || axiosTransport;
+    }
+
+    /**
+     * Send a GraphQL payload, retrying transient failures (429, 5xx, timeouts, network errors).
+     * When the server asks for a longer pause than maxBackoff, the error is thrown straight away, with the
+     * server's delay in its `retryAfter`: retrying any sooner would only be rate limited again.
+     * @param {Object} payload - The GraphQL payload (operationName, variables, query).
+     * @param {Object} options - Request options.
+     * @param {AbortSignal} options.signal - Cancels the request, including any wait for a retry.
+     * @returns {Promise<Object>} The response `data` object.
+     * @throws {RaClientError} If the request failed for good, or AbortError if it was cancelled.
+     */
+    async query(payload, { signal = null } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                await this.rateLimiter.take();
+                return await this.send(payload, signal);
+            } catch (error) {
+                if (!error.retryable || attempt >= this.retries || error.retryAfter > this.maxBackoff) {
+                    error.attempts = attempt + 1;
+                    throw error;
+                }
+
+                await sleep(this.getRetryDelay(error, attempt), signal);
+            }
+        }
+    }
+
+    /**
+     * Work out how long to wait before retrying.
+     * Uses the server's Retry-After if it sent one (query() doesn't retry when that's over maxBackoff), otherwise
+     * exponential backoff with jitter, capped at maxBackoff.
+     * @param {RaClientError} error - The error that caused the retry.
+     * @param {number} attempt - The attempt that failed (0 for the first one).
+     * @returns {number} The delay in milliseconds.
+     */
+    getRetryDelay(error, attempt) {
+        if (error.retryAfter !== undefined && error.retryAfter !== null) {
+            return error.retryAfter;
+        }
+
+        const delay = Math.min(this.maxBackoff, this.backoff * Math.pow(2, attempt));
+        return delay / 2 + Math.random() * (delay / 2);
+    }
+
+    /**
+     * Send a single request and turn the response into data or a typed error.
+     * @param {Object} payload - The GraphQL payload.
+     * @param {AbortSignal} signal - Optional signal to cancel the request.
+     * @returns {Promise<Object>} The response `data` object.
+     */
+    async send(payload, signal = null) {
+        if (signal && signal.aborted) {
+            throw new AbortError('Request aborted', { payload });
+        }
+
+        let response;
+
+        try {
+            response = await this.transport({
+                url: this.url,
+                payload,
+                headers: this.headers,
+                timeout: this.timeout,
+                signal
+            });
+        } catch (error) {
+            if (signal && signal.aborted) {
+                throw new AbortError('Request aborted', { payload });
+            }
+            if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+                throw new TimeoutError(`Request to ${this.url} timed out after ${this.timeout}ms`, { payload });
+            }
+            throw new NetworkError(`Network error: ${error.message}`, { code: error.code, payload });
+        }
+
+        return this.parseResponse(response, payload);
+    }
+
+    /**
+     * Extract the data from a response, or throw the matching error.
+     * @param {Object} response - The transport response ({status, headers, data}).
+     * @param {Object} payload - The GraphQL payload that was sent.
+     * @returns {Object} The response `data` object.
+     */
+    parseResponse(response, payload) {
+        const { status, headers } = response;
+        const body = response.data || {};
+        const errors = Array.isArray(body.errors) ? body.errors : [];
+        const errorMessages = errors.map(error => error.message).join('; ');
+
+        if (status === 429) {
+            throw new RateLimitedError(`Rate limited by RA.co (429)`, {
+                status,
+                retryAfter: parseRetryAfter(headers && headers['retry-after']),
+                payload
+            });
+        }
+
+        if (errors.some(error => SCHEMA_ERROR_PATTERN.test(error.message))) {
+            throw new SchemaChangedError(`Query ${payload.operationName} no longer matches the RA.co schema: ${errorMessages}`, {
+                status,
+                errors,
+                payload
+            });
+        }
+
+        if (status === 400) {
+            throw new BadRequestError(`Bad request (400). This might be due to invalid parameters or API changes.${errorMessages ? ` ${errorMessages}` : ''}`, {
+                status,
+                body,
+                payload
+            });
+        }
+
+        if (status < 200 || status >= 300) {
+            throw new HttpError(`Unexpected HTTP status ${status} from RA.co${errorMessages ? `: ${errorMessages}` : ''}`, { status, body, payload });
+        }
+
+        if (!body.data) {
+            throw new GraphQLError(errorMessages ? `GraphQL error: ${errorMessages}` : `Unexpected response: ${JSON.stringify(body)}`, {
+                status,
+                errors,
+                payload
+            });
+        }
+
+        return body.data;
+    }
+}
+
+let defaultClient = new GraphQLClient();
+
+/**
+ * Replace the shared client used by postQuery(), e.g. to apply CLI retry/timeout/rate options.
+ * @param {Object} options - GraphQLClient options.
+ * @returns {GraphQLClient} The new shared client.
+ */
+function configure(options = {}) {
+    defaultClient = new GraphQLClient(options);
+    return defaultClient;
+}
+
+/**
+ * Get the shared client used by postQuery().
+ * @returns {GraphQLClient} The shared client.
+ */
+function getDefaultClient() {
+    return defaultClient;
+}
+
+/**
+ * Post a GraphQL payload to RA.co through the shared client and return the `data` part of the response.
+ * @param {Object} payload - The GraphQL payload (operationName, variables, query).
+ * @param {Object} options - Request options, see GraphQLClient.query().
+ * @returns {Promise<Object>} The response `data` object.
+ * @throws {RaClientError} If the request failed for good.
+ */
+async function postQuery(payload, options = {}) {
+    return defaultClient.query(payload, options);
+}
+
+module.exports = {
+    URL,
+    HEADERS,
+    GraphQLClient,
+    axiosTransport,
+    createFetchTransport,
+    configure,
+    getDefaultClient,
+    loadTemplate,
+    parseRetryAfter,
+    postQuery
+};
@@ -0,0 +1,259 @@
+/**
+ * A small GraphQL document reader, just enough to check the query templates: it reads operations with
+ * their variable definitions, fragments and selection sets, and skips arguments, directives and values.
+ */
+
+const TOKEN_PATTERN = /\.\.\.|[{}():[\]!$=@]|"(?:\\.|[^"\\])*"|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|[A-Za-z_]\w*/g;
+const PLACEHOLDER_PATTERN = /__[A-Z0-9_]+__/g;
+const OPERATION_TYPES = ['query', 'mutation', 'subscription'];
+
+/**
+ * Split a GraphQL document into tokens. Commas, whitespace and comments are ignored, as in GraphQL itself.
+ * @param {string} text - The GraphQL document.
+ * @returns {Array<string>} The tokens.
+ */
+function tokenize(text) {
+    return text.replace(/#[^\n]*/g, '').match(TOKEN_PATTERN) || [];
+}
+
+/**
+ * Parse a GraphQL document.
+ * @param {string} text - The GraphQL document.
+ * @returns {{operations: Array<Object>, fragments: Object}} The operations ({type, name, variables, selection})
+ *          and the fragments by name ({on, selection}). Selections are lists of fields ({name, key, selection}),
+ *          fragment spreads ({spread}) and inline fragments ({inline}).
+ * @throws {Error} If the document can't be read.
+ */
+function parseDocument(text) {
+    const tokens = tokenize(text);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => {
+        if (position >= tokens.length) {
+            throw new Error('Unexpected end of query');
+        }
+        return tokens[position++];
+    };
+    const expect = (token) => {
+        const found = next();
+        if (found !== token) {
+            throw new Error(`Expected "${token}" but found "${found}"`);
+        }
+    };
+
+    // Skip a bracketed group, e.g. field arguments or a default value
+    const skipGroup = (open, close) => {
+        let depth = 0;
+        do {
+            const token = next();
+            if (token === open) depth++;
+            if (token === close) depth--;
+        } while (depth > 0);
+    };
+
+    const skipDirectives = () => {
+        while (peek() === '@') {
+            next();
+            next();
+            if (peek() === '(') skipGroup('(', ')');
+        }
+    };
+
+    const parseType = () => {
+        let type;
+        if (peek() === '[') {
+            next();
+            type = `[${parseType()}]`;
+            expect(']');
+        } else {
+            type = next();
+        }
+        if (peek() === '!') {
+            next();
+            type += '!';
+        }
+        return type;
+    };
+
+    const parseVariableDefinitions = () => {
+        const variables = [];
+        expect('(');
+        while (peek() !== ')') {
+            expect('$');
+            const name = next();
+            expect(':');
+            const type = parseType();
+            if (peek() === '=') {
+                next();
+                if (peek() === '[') skipGroup('[', ']');
+                else if (peek() === '{') skipGroup('{', '}');
+                else next();
+            }
+            skipDirectives();
+            variables.push({ name, type, required: type.endsWith('!') });
+        }
+        expect(')');
+        return variables;
+    };
+
+    const parseSelectionSet = () => {
+        const selection = [];
+        expect('{');
+        while (peek() !== '}') {
+            if (peek() === '...') {
+                next();
+                if (peek() === 'on' || peek() === '{' || peek() === '@') {
+                    if (peek() === 'on') {
+                        next();
+                        next();
+                    }
+                    skipDirectives();
+                    selection.push({ inline: parseSelectionSet() });
+                } else {
+                    selection.push({ spread: next() });
+                    skipDirectives();
+                }
+                continue;
+            }
+
+            let name = next();
+            let key = name;
+            if (peek() === ':') {
+                next();
+                name = next();
+            }
+            if (peek() === '(') skipGroup('(', ')');
+            skipDirectives();
+            selection.push({ name, key, selection: peek() === '{' ? parseSelectionSet() : null });
+        }
+        expect('}');
+        return selection;
+    };
+
+    const operations = [];
+    const fragments = {};
+
+    while (position < tokens.length) {
+        const token = next();
+
+        if (token === 'fragment') {
+            const name = next();
+            expect('on');
+            const on = next();
+            skipDirectives();
+            fragments[name] = { on, selection: parseSelectionSet() };
+        } else if (OPERATION_TYPES.includes(token)) {
+            const name = /^[A-Za-z_]/.test(peek()) ? next() : null;
+            const variables = peek() === '(' ? parseVariableDefinitions() : [];
+            skipDirectives();
+            operations.push({ type: token, name, variables, selection: parseSelectionSet() });
+        } else if (token === '{') {
+            position--;
+            operations.push({ type: 'query', name: null, variables: [], selection: parseSelectionSet() });
+        } else {
+            throw new Error(`Unexpected "${token}" at the top level of the query`);
+        }
+    }
+
+    return { operations, fragments };
+}
+
+/**
+ * Expand a selection into a tree of response keys, inlining fragments.
+ * Leaf fields map to null, fields with a selection set to their own tree.
+ * @param {Array<Object>} selection - The selection, as returned by parseDocument().
+ * @param {Object} fragments - The fragments by name.
+ * @returns {Object} The field tree, e.g. {listing: {data: {id: null, title: null}}}.
+ * @throws {Error} If the selection spreads a fragment that isn't defined.
+ */
+function expandSelection(selection, fragments) {
+    const tree = {};
+
+    for (const item of selection) {
+        if (item.spread) {
+            if (!fragments[item.spread]) {
+                throw new Error(`Fragment "${item.spread}" is used but not defined`);
+            }
+            mergeTrees(tree, expandSelection(fragments[item.spread].selection, fragments));
+        } else if (item.inline) {
+            mergeTrees(tree, expandSelection(item.inline, fragments));
+        } else {
+            const subtree = item.selection ? expandSelection(item.selection, fragments) : null;
+            tree[item.key] = tree[item.key] && subtree ? mergeTrees(tree[item.key], subtree) : subtree;
+        }
+    }
+
+    return tree;
+}
+
+/**
+ * Merge one field tree into another.
+ * @param {Object} target - The tree to merge into.
+ * @param {Object} source - The tree to merge.
+ * @returns {Object} The target tree.
+ */
+function mergeTrees(target, source) {
+    for (const [key, subtree] of Object.entries(source)) {
+        target[key] = target[key] && subtree ? mergeTrees(target[key], subtree) : subtree;
+    }
+    return target;
+}
+
+/**
+ * List the variables a document uses in its operations and fragments.
+ * @param {string} text - The GraphQL document.
+ * @returns {Set<string>} The variable names, without "$".
+ */
+function findVariableUsages(text) {
+    const tokens = tokenize(text);
+    const used = new Set();
+    let depth = 0;
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+
+        // Skip the variable definitions after "query NAME", so only real usages are counted
+        if (depth === 0 && OPERATION_TYPES.includes(token)) {
+            let start = i + 1;
+            if (tokens[start] !== '(' && tokens[start] !== '{') start++;
+            if (tokens[start] === '(') {
+                i = tokens.indexOf(')', start);
+            }
+            continue;
+        }
+
+        if (token === '{') depth++;
+        if (token === '}') depth--;
+        if (token === '$') used.add(tokens[i + 1]);
+    }
+
+    return used;
+}
+
+/**
+ * Find template placeholders (e.g. "__AREAS__") left anywhere in a value.
+ * @param {*} value - The value to search, e.g. a payload's variables.
+ * @param {string} path - The path of the value, for the report.
+ * @returns {Array<{path: string, placeholder: string}>} The placeholders found.
+ */
+function findPlaceholders(value, path = 'variables') {
+    if (typeof value === 'string') {
+        return (value.match(PLACEHOLDER_PATTERN) || []).map(placeholder => ({ path, placeholder }));
+    }
+    if (Array.isArray(value)) {
+        return value.flatMap((item, index) => findPlaceholders(item, `${path}[${index}]`));
+    }
+    if (value !== null && typeof value === 'object') {
+        return Object.entries(value).flatMap(([key, item]) => findPlaceholders(item, `${path}.${key}`));
+    }
+    return [];
+}
+
+module.exports = {
+    tokenize,
+    parseDocument,
+    expandSelection,
+    findVariableUsages,
+    findPlaceholders
+};
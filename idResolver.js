@@ -0,0 +1,303 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadTemplate, postQuery } = require('./graphqlClient');
+const { areaTimezone } = require('./timezones');
+const { InvalidQueryError } = require('./errors');
+
+const SEARCH_QUERY_TEMPLATE_PATH = "graphql_query_template_search.json";
+const AREA_LOOKUP_TEMPLATE_PATH = "graphql_query_template_area_lookup.json";
+const ARTIST_LOOKUP_TEMPLATE_PATH = "graphql_query_template_artist_lookup.json";
+const DEFAULT_CACHE_FILE = path.join(os.homedir(), '.raco', 'id-cache.json');
+
+/**
+ * Split a user supplied area/artist reference into its parts.
+ * Accepts numeric IDs, ra.co URLs (with or without scheme) and bare slugs/names.
+ * @param {string|number} input - The raw reference.
+ * @returns {{id: (string|undefined), segments: Array<string>, text: string}} The parsed reference.
+ */
+function parseReference(input) {
+    const text = String(input).trim();
+
+    if (/^\d+$/.test(text)) {
+        return { id: text, segments: [], text };
+    }
+
+    const urlMatch = text.match(/^(?:https?:\/\/)?(?:www\.)?ra\.co\/(.*)$/i);
+    const pathPart = (urlMatch ? urlMatch[1] : text).replace(/[?#].*$/, '');
+    const segments = pathPart.split('/').filter(segment => segment.length > 0);
+
+    return { id: undefined, segments, text };
+}
+
+class IdResolver {
+    /**
+     * A class to resolve RA.co area and artist names, slugs and URLs to their numeric IDs.
+     * Resolved IDs, and the timezones of areas, are cached in a local JSON file so repeated lookups don't hit the API.
+     * @param {string} cacheFile - The cache file path. (default: "~/.raco/id-cache.json")
+     * @param {GraphQLClient} client - The client to send lookups with. (default: the shared client)
+     */
+    constructor(cacheFile = DEFAULT_CACHE_FILE, client = null) {
+        this.cacheFile = cacheFile;
+        this.client = client;
+        this.cache = this.loadCache();
+    }
+
+    /**
+     * Resolve an area reference to its ID.
+     * @param {string|number} input - An area ID, URL (e.g. "ra.co/events/nl/utrecht"), slug (e.g. "nl/utrecht") or name.
+     * @returns {Promise<string>} The area ID.
+     */
+    async resolveArea(input) {
+        const reference = parseReference(input);
+        if (reference.id) {
+            return reference.id;
+        }
+
+        const cacheKey = reference.text.toLowerCase();
+        if (this.cache.areas[cacheKey]) {
+            return this.cache.areas[cacheKey].id;
+        }
+
+        let segments = reference.segments;
+        if (segments[0] === 'events') {
+            segments = segments.slice(1);
+        }
+
+        let area = null;
+        if (segments.length === 2) {
+            area = await this.lookupArea(segments[0], segments[1]);
+        } else {
+            area = this.pickExactMatch(await this.searchAreas(reference.text), reference.text, 'area');
+        }
+
+        if (!area) {
+            throw new InvalidQueryError(`No area found matching "${reference.text}"`);
+        }
+
+        this.cache.areas[cacheKey] = { id: area.id, name: area.name, resolvedAt: new Date().toISOString() };
+        if (area.timeZone) {
+            this.cache.zones[area.id] = area.timeZone;
+        }
+        this.saveCache();
+        return area.id;
+    }
+
+    /**
+     * Get the cached timezone of an area.
+     * @param {string|number} areaId - The area ID.
+     * @returns {string|null} The IANA timezone, or null if it isn't known yet.
+     */
+    getTimezone(areaId) {
+        return this.cache.zones[String(areaId)] || null;
+    }
+
+    /**
+     * Remember the timezone of an area.
+     * @param {string|number} areaId - The area ID.
+     * @param {string} timeZone - The IANA timezone.
+     */
+    rememberTimezone(areaId, timeZone) {
+        if (timeZone && this.cache.zones[String(areaId)] !== timeZone) {
+            this.cache.zones[String(areaId)] = timeZone;
+            this.saveCache();
+        }
+    }
+
+    /**
+     * Resolve an artist reference to its ID.
+     * @param {string|number} input - An artist ID, URL (e.g. "ra.co/dj/sethtroxler"), slug (e.g. "sethtroxler") or name.
+     * @returns {Promise<string>} The artist ID.
+     */
+    async resolveArtist(input) {
+        const reference = parseReference(input);
+        if (reference.id) {
+            return reference.id;
+        }
+
+        const cacheKey = reference.text.toLowerCase();
+        if (this.cache.artists[cacheKey]) {
+            return this.cache.artists[cacheKey].id;
+        }
+
+        let segments = reference.segments;
+        if (segments[0] === 'dj') {
+            segments = segments.slice(1);
+        }
+
+        let artist = null;
+        // A single token without whitespace might be a slug, so try that first; if the lookup fails, search instead
+        if (segments.length === 1 && !/\s/.test(segments[0])) {
+            try {
+                artist = await this.lookupArtist(segments[0]);
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw error;
+                }
+            }
+        }
+        if (!artist) {
+            artist = this.pickExactMatch(await this.searchArtists(reference.text), reference.text, 'artist');
+        }
+
+        if (!artist) {
+            throw new InvalidQueryError(`No artist found matching "${reference.text}"`);
+        }
+
+        this.cache.artists[cacheKey] = { id: artist.id, name: artist.name, resolvedAt: new Date().toISOString() };
+        this.saveCache();
+        return artist.id;
+    }
+
+    /**
+     * Search areas by name.
+     * @param {string} searchTerm - The text to search for.
+     * @returns {Promise<Array>} A list of candidate areas.
+     */
+    async searchAreas(searchTerm) {
+        return this.search(searchTerm, 'AREA');
+    }
+
+    /**
+     * Search artists by name.
+     * @param {string} searchTerm - The text to search for.
+     * @returns {Promise<Array>} A list of candidate artists.
+     */
+    async searchArtists(searchTerm) {
+        return this.search(searchTerm, 'ARTIST');
+    }
+
+    /**
+     * Run the global search query for a single index.
+     * @param {string} searchTerm - The text to search for.
+     * @param {string} index - The search index (e.g. "AREA", "ARTIST").
+     * @returns {Promise<Array>} A list of candidates ordered by relevance.
+     */
+    async search(searchTerm, index) {
+        const data = await this.request(this.generateSearchPayload(searchTerm, index));
+        return (data.search || [])
+            .filter(result => result.searchType === index)
+            .map(result => ({
+                id: result.id,
+                name: result.value,
+                country: result.countryName || null,
+                contentUrl: result.contentUrl || null,
+                score: result.score
+            }));
+    }
+
+    /**
+     * Look up an area by its URL parts.
+     * @param {string} countryUrlCode - The country code used in RA.co URLs (e.g. "nl").
+     * @param {string} areaUrlName - The area name used in RA.co URLs (e.g. "utrecht").
+     * @returns {Promise<Object|null>} The area, or null if it doesn't exist.
+     */
+    async lookupArea(countryUrlCode, areaUrlName) {
+        const data = await this.request(this.generateAreaLookupPayload(countryUrlCode, areaUrlName));
+        return data.area ? { id: data.area.id, name: data.area.name, timeZone: areaTimezone(data.area) } : null;
+    }
+
+    /**
+     * Look up an artist by slug.
+     * @param {string} slug - The artist slug used in RA.co URLs (e.g. "sethtroxler").
+     * @returns {Promise<Object|null>} The artist, or null if it doesn't exist.
+     */
+    async lookupArtist(slug) {
+        const data = await this.request(this.generateArtistLookupPayload(slug));
+        return data.artist ? { id: data.artist.id, name: data.artist.name } : null;
+    }
+
+    /**
+     * Generate the payload for a global search request.
+     * @param {string} searchTerm - The text to search for.
+     * @param {string} index - The search index (e.g. "AREA", "ARTIST").
+     * @returns {Object} The generated payload.
+     */
+    generateSearchPayload(searchTerm, index) {
+        const payload = loadTemplate(SEARCH_QUERY_TEMPLATE_PATH);
+        payload.variables.searchTerm = searchTerm;
+        payload.variables.indices = [index];
+        return payload;
+    }
+
+    /**
+     * Generate the payload for an area lookup request.
+     * @param {string} countryUrlCode - The country code used in RA.co URLs (e.g. "nl").
+     * @param {string} areaUrlName - The area name used in RA.co URLs (e.g. "utrecht").
+     * @returns {Object} The generated payload.
+     */
+    generateAreaLookupPayload(countryUrlCode, areaUrlName) {
+        const payload = loadTemplate(AREA_LOOKUP_TEMPLATE_PATH);
+        payload.variables.countryUrlCode = countryUrlCode;
+        payload.variables.areaUrlName = areaUrlName;
+        return payload;
+    }
+
+    /**
+     * Generate the payload for an artist lookup request.
+     * @param {string} slug - The artist slug used in RA.co URLs (e.g. "sethtroxler").
+     * @returns {Object} The generated payload.
+     */
+    generateArtistLookupPayload(slug) {
+        const payload = loadTemplate(ARTIST_LOOKUP_TEMPLATE_PATH);
+        payload.variables.slug = slug;
+        return payload;
+    }
+
+    /**
+     * Pick the candidate whose name matches the searched text, ignoring case, spaces and punctuation
+     * ("rivalconsoles" matches "Rival Consoles"). Search results are fuzzy, so the most relevant one is never
+     * taken on trust: a typo could resolve to an unrelated artist or area.
+     * @param {Array} candidates - Candidates as returned by search().
+     * @param {string} text - The text that was searched for.
+     * @param {string} kind - What was searched for, for the error message (e.g. "area").
+     * @returns {Object|null} The matching candidate, or null if the search found nothing.
+     * @throws {InvalidQueryError} If there are candidates but none matches, listing them.
+     */
+    pickExactMatch(candidates, text, kind) {
+        const simplify = value => value.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+        const exactMatch = candidates.find(candidate => simplify(candidate.name) === simplify(text));
+        if (exactMatch || candidates.length === 0) {
+            return exactMatch || null;
+        }
+
+        const list = candidates.slice(0, 5).map(candidate => `${candidate.name}${candidate.country ? ` (${candidate.country})` : ''}: ${candidate.id}`);
+        throw new InvalidQueryError(`No ${kind} named "${text}". Did you mean one of these? Use its ID or exact name.\n  ${list.join('\n  ')}`);
+    }
+
+    /**
+     * Send a GraphQL payload through this resolver's client, or the shared one.
+     * @param {Object} payload - The GraphQL payload.
+     * @returns {Promise<Object>} The response `data` object.
+     */
+    request(payload) {
+        return this.client ? this.client.query(payload) : postQuery(payload);
+    }
+
+    /**
+     * Load the ID cache from disk.
+     * The sections are objects without a prototype, so references like "constructor" or "__proto__" are plain keys.
+     * @returns {Object} The cache contents.
+     */
+    loadCache() {
+        let cache = {};
+        try {
+            cache = JSON.parse(fs.readFileSync(this.cacheFile, 'utf8')) || {};
+        } catch (error) {
+            // No cache yet, or an unreadable one: start over
+        }
+        const section = entries => Object.assign(Object.create(null), entries);
+        return { areas: section(cache.areas), artists: section(cache.artists), zones: section(cache.zones) };
+    }
+
+    /**
+     * Write the ID cache to disk.
+     */
+    saveCache() {
+        fs.mkdirSync(path.dirname(this.cacheFile), { recursive: true });
+        fs.writeFileSync(this.cacheFile, JSON.stringify(this.cache, null, 2));
+    }
+}
+
+module.exports = IdResolver;
+module.exports.parseReference = parseReference;
@@ -0,0 +1,377 @@
+/**
+ * Typings for the library entry point (index.js). The Event model is typed in eventModel.d.ts.
+ */
+
+import { Event } from './eventModel';
+
+export { Event, EVENT_SCHEMA, normalizeEvent, validateEvent, ValidationResult } from './eventModel';
+
+/** Anything with log() and warn(), e.g. console. */
+export interface Logger {
+    log(...args: unknown[]): void;
+    warn(...args: unknown[]): void;
+}
+
+export interface TransportRequest {
+    url: string;
+    payload: object;
+    headers: Record<string, string>;
+    timeout: number;
+    signal: AbortSignal | null;
+}
+
+export interface TransportResponse {
+    status: number;
+    headers: Record<string, string>;
+    data: unknown;
+}
+
+/**
+ * Sends a GraphQL request. Resolves for any HTTP response and only rejects when no response arrived
+ * (timeouts use code "ETIMEDOUT").
+ */
+export type Transport = (request: TransportRequest) => Promise<TransportResponse>;
+
+export interface GraphQLClientOptions {
+    /** The GraphQL endpoint. Defaults to $RA_GRAPHQL_URL or https://ra.co/graphql. */
+    url?: string;
+    headers?: Record<string, string>;
+    /** Retries after the first attempt. Default 3. */
+    retries?: number;
+    /** Base delay for exponential backoff, in ms. Default 1000. */
+    backoff?: number;
+    /** Upper bound for a single backoff delay, in ms; a longer Retry-After fails the request without retrying. Default 30000. */
+    maxBackoff?: number;
+    /** Per-request timeout, in ms. Default 15000. */
+    timeout?: number;
+    /** Requests per second. Default 1. */
+    rate?: number;
+    /** Requests that may be sent back to back before the rate applies. Default 1. */
+    burst?: number;
+    rateLimiter?: TokenBucket;
+    transport?: Transport;
+}
+
+export class TokenBucket {
+    constructor(options?: { rate?: number; burst?: number });
+    take(): Promise<void>;
+}
+
+export class GraphQLClient {
+    constructor(options?: GraphQLClientOptions);
+    query(payload: object, options?: { signal?: AbortSignal | null }): Promise<any>;
+}
+
+export const axiosTransport: Transport;
+export function createFetchTransport(fetchFunction?: typeof fetch): Transport;
+
+/** A recorded request/response pair, as saved by createRecordingTransport(). */
+export interface Fixture {
+    request: { operationName: string; variables: object };
+    response: { status: number; data: unknown };
+}
+
+export function createRecordingTransport(directory: string, transport?: Transport): Transport;
+export function createReplayTransport(fixtures: string | Map<string, Fixture>): Transport;
+export function createMockServer(fixtures: string | Map<string, Fixture>): import('http').Server;
+export function startMockServer(fixtures: string | Map<string, Fixture>, port?: number): Promise<{ server: import('http').Server; url: string }>;
+
+export interface ClientOptions extends GraphQLClientOptions {
+    /** An existing GraphQL client to send requests with. */
+    client?: GraphQLClient;
+    /** Where progress and warnings go. Silent by default. */
+    logger?: Logger;
+    /** The ID cache file path. Default "~/.raco/id-cache.json". */
+    cacheFile?: string;
+}
+
+export interface EventQuery {
+    /** One or more area IDs, names, slugs (e.g. "nl/utrecht") or RA.co URLs. */
+    areas?: string | number | Array<string | number>;
+    area?: string | number | Array<string | number>;
+    /** One or more artist IDs, names, slugs or RA.co URLs. */
+    artists?: string | number | Array<string | number>;
+    artist?: string | number | Array<string | number>;
+    /** A venue (club) ID. */
+    venue?: number;
+    /** A promoter ID. */
+    promoter?: number;
+    /** Genre value(s) to filter area queries by, e.g. "techno". */
+    genre?: string | string[];
+    genres?: string | string[];
+    /** Start date, inclusive: "YYYY-MM-DD", an ISO date-time, "today", "tomorrow", an offset such as "+7d" or a Date. Defaults to today. */
+    from?: string | Date;
+    /** End date, inclusive. */
+    to?: string | Date;
+    /** A date window for the bounds not given by from/to: "this-weekend", "next-month", "next 14 days", "+30d", "today..+2w", ... */
+    dates?: string;
+    /** The IANA timezone relative dates are resolved in, e.g. "Australia/Sydney". Defaults to the area's, else this machine's. */
+    timeZone?: string;
+    /** List past events, newest first: `to` defaults to now and `from` to none. Artist, venue and promoter listings only. */
+    past?: boolean;
+    /** Maximum number of pages to fetch per listing. */
+    maxPages?: number;
+    /** Maximum number of events to fetch per listing. */
+    maxEvents?: number;
+    /** Fetch the full detail of each event (one extra request per event). */
+    details?: boolean;
+    signal?: AbortSignal;
+}
+
+export interface ResolvedQuery {
+    /** The area of single-area queries. */
+    area: number | null;
+    areas: number[];
+    artists: string[];
+    venue: number | null;
+    promoter: number | null;
+    genres: string[];
+    past: boolean;
+    /**
+     * The timezone relative dates were resolved in; null when the query had none and no area timezone was known.
+     * For multi-area queries, this and the dates are the first area's; the other areas resolve their own.
+     */
+    timeZone: string | null;
+    /** Null for past queries without a start date. */
+    from: string | null;
+    to: string | null;
+}
+
+export interface Aggregation {
+    /** E.g. "YEAR" or "COUNTRY". */
+    type: string;
+    values: Array<{ value: string; name: string }>;
+}
+
+export interface SummaryBucket {
+    value: string;
+    name: string;
+    /** Fetched events in the bucket; null if the results were cut off before reaching it. */
+    count: number | null;
+}
+
+export interface EventStats {
+    /** Number of events yielded so far. */
+    events: number;
+    /** Whether the page/event limits cut off matching events. Final once the iterator is done. */
+    truncated: boolean;
+    query: ResolvedQuery | null;
+    /** The aggregation buckets of artist, venue and promoter listings. */
+    aggregations: Aggregation[] | null;
+}
+
+export interface EventIterator extends AsyncGenerator<Event, void, undefined> {
+    stats: EventStats;
+}
+
+export interface OutputMetadata {
+    totalEvents: number;
+    generatedAt: string;
+    truncated: boolean;
+    queryInfo: {
+        area: number | null;
+        areas: number[];
+        artist: string | null;
+        venue: number | null;
+        promoter: number | null;
+        genres: string[];
+        past?: true;
+        timeZone?: string;
+        dateRange: { gte: string | null; lte: string | null };
+    };
+    /** Events per year and per country, for artist, venue and promoter listings. */
+    summary?: {
+        /** Whether the counts cover every matching event. */
+        complete: boolean;
+        years: SummaryBucket[];
+        countries: SummaryBucket[];
+    };
+}
+
+export interface FetchResult {
+    metadata: OutputMetadata;
+    events: Event[];
+    query: ResolvedQuery;
+    truncated: boolean;
+}
+
+export interface Genre {
+    label: string;
+    value: string;
+    count: number | null;
+}
+
+export interface SearchCandidate {
+    id: string;
+    name: string;
+    country: string | null;
+    contentUrl: string | null;
+    score: number;
+}
+
+export class RaClient {
+    constructor(options?: ClientOptions);
+    client: GraphQLClient;
+    resolveQuery(query?: EventQuery): Promise<ResolvedQuery>;
+    /** Stream the events matching a query, page by page. */
+    events(query?: EventQuery): EventIterator;
+    fetchAll(query?: EventQuery): Promise<FetchResult>;
+    genres(query?: { area?: string | number; from?: string | Date; to?: string | Date; dates?: string; timeZone?: string; signal?: AbortSignal }): Promise<Genre[]>;
+    /** The timezone of an area, fetching one of its events to find out unless it's cached. */
+    getAreaTimezone(areaId: string | number, signal?: AbortSignal | null): Promise<string | null>;
+    searchAreas(searchTerm: string): Promise<SearchCandidate[]>;
+    searchArtists(searchTerm: string): Promise<SearchCandidate[]>;
+}
+
+export function createClient(options?: ClientOptions): RaClient;
+
+export class EventFetcher {
+    constructor(options: {
+        area?: number;
+        artist?: number | string;
+        venue?: number;
+        promoter?: number;
+        genres?: string[];
+        past?: boolean;
+        listingDateGte?: string | null;
+        listingDateLte?: string | null;
+        client?: GraphQLClient;
+        logger?: Logger;
+    });
+    constructor(areas: number, artist: number | string, listingDateGte: string, listingDateLte?: string | null, options?: object);
+    truncated?: boolean;
+    totalResults?: number | null;
+    aggregations?: Aggregation[] | null;
+    pages(maxPages?: number, maxEvents?: number, signal?: AbortSignal | null): AsyncGenerator<object[], void, undefined>;
+    fetchEventsWithPageLimit(maxPages: number, maxEvents?: number): Promise<object[]>;
+    fetchAllEvents(): Promise<object[]>;
+    fetchEventDetails(events: object[], signal?: AbortSignal | null): Promise<object[]>;
+    generateGenreFacetPayload(): object | null;
+    getGenreFacets(signal?: AbortSignal | null): Promise<Genre[]>;
+    saveEvents(events: object[], outputFile?: string, areaFilter?: number | null, artistFilter?: string | null, format?: string | null): Promise<void>;
+    buildOutput(events: object[], areaFilter?: number | null, artistFilter?: string | null): { metadata: object; events: Event[] };
+    static mergeArtistEvents(artistResults: Array<{ artistId: string; events: object[] }>): object[];
+}
+
+export class IdResolver {
+    constructor(cacheFile?: string, client?: GraphQLClient | null);
+    resolveArea(input: string | number): Promise<string>;
+    resolveArtist(input: string | number): Promise<string>;
+    getTimezone(areaId: string | number): string | null;
+    rememberTimezone(areaId: string | number, timeZone: string | null): void;
+    searchAreas(searchTerm: string): Promise<SearchCandidate[]>;
+    searchArtists(searchTerm: string): Promise<SearchCandidate[]>;
+}
+
+export class EventStore {
+    constructor(file?: string);
+    static queryKey(query: Partial<ResolvedQuery>): string;
+    sync(records: Event[], options?: { queryKey?: string; from?: string | null; to?: string | null; detectRemovals?: boolean; now?: Date }): {
+        syncedAt: string;
+        added: Event[];
+        removed: Event[];
+        changed: Array<{ record: Event; changes: Array<{ field: string; from: unknown; to: unknown }> }>;
+    };
+    save(): void;
+}
+
+export class ResponseCache {
+    constructor(options?: {
+        /** How long entries stay fresh, in ms. Default 5 minutes. */
+        ttl?: number;
+        /** A JSON file to keep the cache in across restarts. */
+        file?: string | null;
+        /** Default 500. */
+        maxEntries?: number;
+    });
+    ttl: number;
+    get<T>(key: string, compute: () => Promise<T>): Promise<{ value: T; status: 'HIT' | 'MISS' | 'STALE'; storedAt: number; error?: Error }>;
+    set<T>(key: string, value: T): { value: T; storedAt: number };
+    clear(): void;
+}
+
+export interface ApiServerOptions {
+    client?: RaClient;
+    cache?: ResponseCache;
+    /** Where request lines go. Silent by default. */
+    logger?: Logger | null;
+    /** Send Access-Control-Allow-Origin: *. Default true. */
+    cors?: boolean;
+}
+
+export function createApiServer(options?: ApiServerOptions): import('http').Server;
+export function startApiServer(options?: ApiServerOptions, port?: number, host?: string): Promise<{ server: import('http').Server; url: string }>;
+
+export interface TemplateProblem {
+    level: 'error' | 'warning';
+    message: string;
+}
+
+export interface TemplateCheckResult {
+    /** The template file name, e.g. "graphql_query_template.json". */
+    template: string;
+    operationName: string | null;
+    problems: TemplateProblem[];
+    /** Number of leaf fields compared in the probe response. */
+    checkedFields: number;
+    probed: boolean;
+}
+
+export interface TemplateProbe {
+    area?: number;
+    artist?: string;
+    venue?: number;
+    promoter?: number;
+    /** Defaults to the first event of the area probe. */
+    event?: string | null;
+    searchTerm?: string;
+    countryUrlCode?: string;
+    areaUrlName?: string;
+    artistSlug?: string;
+}
+
+export class TemplateDoctor {
+    constructor(options?: {
+        client?: GraphQLClient | null;
+        /** Fixture directory with recorded responses to compare field types against. No baseline by default. */
+        baseline?: string | null;
+        probe?: TemplateProbe;
+    });
+    listTemplates(): string[];
+    run(options?: { probe?: boolean; signal?: AbortSignal | null }): Promise<TemplateCheckResult[]>;
+    checkPayload(payload: object, options?: { filled?: boolean }): TemplateProblem[];
+    probeTemplate(payload: object, signal?: AbortSignal | null): Promise<{ problems: TemplateProblem[]; checkedFields: number; data: object | null }>;
+}
+
+export interface Exporter {
+    format: string;
+    extensions: string[];
+    serialize(output: { metadata: object; events: Event[] }): string;
+}
+
+export function registerExporter(exporter: Exporter): void;
+export function getExporter(format: string): Exporter;
+export function listFormats(): string[];
+export function writeOutput(output: { metadata: object; events: Event[] }, outputFile: string, format?: string | null): void;
+
+/** A query that can't be sent as given: an unrecognized date or timezone, an unknown area or artist, or filters that can't be combined. */
+export class InvalidQueryError extends Error {}
+
+export class RaClientError extends Error {
+    retryable: boolean;
+    attempts?: number;
+    payload?: object;
+}
+export class HttpError extends RaClientError {
+    status: number;
+}
+export class BadRequestError extends HttpError {}
+export class RateLimitedError extends HttpError {
+    /** Milliseconds, or null if the server didn't send Retry-After. */
+    retryAfter: number | null;
+}
+export class TimeoutError extends RaClientError {}
+export class NetworkError extends RaClientError {}
+export class AbortError extends RaClientError {}
+export class GraphQLError extends RaClientError {}
+export class SchemaChangedError extends GraphQLError {}
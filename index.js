@@ -0,0 +1,48 @@
+/**
+ * Library entry point. Start with createClient():
+ *
+ *     const { createClient } = require('resident-advisor-events-scraper');
+ *     for await (const event of createClient().events({ area: 'nl/utrecht', genre: 'techno' })) { ... }
+ */
+const { RaClient, createClient } = require('./client');
+const EventFetcher = require('./eventFetcher');
+const IdResolver = require('./idResolver');
+const EventStore = require('./eventStore');
+const TemplateDoctor = require('./templateDoctor');
+const ResponseCache = require('./responseCache');
+const { createApiServer, startApiServer } = require('./apiServer');
+const { GraphQLClient, axiosTransport, createFetchTransport } = require('./graphqlClient');
+const { TokenBucket } = require('./rateLimiter');
+const { createRecordingTransport, createReplayTransport } = require('./recorder');
+const { createMockServer, startMockServer } = require('./mockServer');
+const { EVENT_SCHEMA, normalizeEvent, validateEvent } = require('./eventModel');
+const { registerExporter, getExporter, listFormats, writeOutput } = require('./exporters');
+const errors = require('./errors');
+
+module.exports = {
+    createClient,
+    RaClient,
+    EventFetcher,
+    IdResolver,
+    EventStore,
+    TemplateDoctor,
+    ResponseCache,
+    createApiServer,
+    startApiServer,
+    GraphQLClient,
+    TokenBucket,
+    axiosTransport,
+    createFetchTransport,
+    createRecordingTransport,
+    createReplayTransport,
+    createMockServer,
+    startMockServer,
+    EVENT_SCHEMA,
+    normalizeEvent,
+    validateEvent,
+    registerExporter,
+    getExporter,
+    listFormats,
+    writeOutput,
+    ...errors
+};
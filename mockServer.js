@@ -0,0 +1,79 @@
+const http = require('http');
+const { createReplayTransport } = require('./recorder');
+
+const DEFAULT_PORT = 4000;
+
+/**
+ * Create a local HTTP stand-in for the RA.co GraphQL endpoint that answers from recorded fixtures.
+ * Point the client at it with RA_GRAPHQL_URL (or the `url` client option).
+ * @param {string|Map<string, Object>} fixtures - The fixture directory, or fixtures as returned by loadFixtures().
+ * @returns {http.Server} The server, not yet listening.
+ */
+function createMockServer(fixtures) {
+    const replay = createReplayTransport(fixtures);
+
+    return http.createServer((req, res) => {
+        const send = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+
+        if (req.method !== 'POST') {
+            send(405, { errors: [{ message: 'Only POST requests are supported' }] });
+            return;
+        }
+
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', async () => {
+            let payload;
+            try {
+                payload = JSON.parse(body);
+            } catch (error) {
+                send(400, { errors: [{ message: `Invalid JSON body: ${error.message}` }] });
+                return;
+            }
+
+            const response = await replay({ payload });
+            send(response.status, response.data);
+        });
+    });
+}
+
+/**
+ * Start a mock server on a port.
+ * @param {string|Map<string, Object>} fixtures - The fixture directory, or fixtures as returned by loadFixtures().
+ * @param {number} port - The port to listen on; 0 picks a free one. (default: 4000)
+ * @returns {Promise<{server: http.Server, url: string}>} The listening server and its GraphQL URL.
+ */
+function startMockServer(fixtures, port = DEFAULT_PORT) {
+    const server = createMockServer(fixtures);
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => {
+            resolve({ server, url: `http://127.0.0.1:${server.address().port}/graphql` });
+        });
+    });
+}
+
+module.exports = {
+    createMockServer,
+    startMockServer
+};
+
+// Serve a fixture directory if this file is executed directly: node mockServer.js <directory> [port]
+if (require.main === module) {
+    const [directory, port] = process.argv.slice(2);
+    if (!directory) {
+        console.error('Usage: node mockServer.js <fixture directory> [port]');
+        process.exitCode = 1;
+    } else {
+        startMockServer(directory, port ? parseInt(port) : DEFAULT_PORT).then(({ url }) => {
+            console.log(`Serving recorded responses from ${directory} at ${url}`);
+            console.log(`Run the fetcher against it with RA_GRAPHQL_URL=${url}`);
+        });
+    }
+}
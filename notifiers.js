@@ -0,0 +1,99 @@
+const axios = require('axios');
+const fs = require('fs');
+const { spawn } = require('child_process');
+
+class WebhookNotifier {
+    /**
+     * Notify about a new event by POSTing it as JSON to a webhook URL.
+     * @param {string} url - The webhook URL.
+     */
+    constructor(url) {
+        this.url = url;
+    }
+
+    /**
+     * Send a notification.
+     * @param {Object} record - The new event record.
+     * @param {string} queryName - The name of the watched query that found it.
+     */
+    async notify(record, queryName) {
+        await axios.post(this.url, { type: 'event.added', query: queryName, event: record }, { timeout: 15000 });
+    }
+
+    toString() {
+        return `webhook ${this.url}`;
+    }
+}
+
+class CommandNotifier {
+    /**
+     * Notify about a new event by running a shell command with the event JSON on stdin.
+     * The query name is passed in the RACO_QUERY environment variable.
+     * @param {string} command - The shell command.
+     */
+    constructor(command) {
+        this.command = command;
+    }
+
+    /**
+     * Send a notification.
+     * @param {Object} record - The new event record.
+     * @param {string} queryName - The name of the watched query that found it.
+     * @returns {Promise} Resolves when the command exits successfully.
+     */
+    notify(record, queryName) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(this.command, {
+                shell: true,
+                stdio: ['pipe', 'inherit', 'inherit'],
+                env: { ...process.env, RACO_QUERY: queryName }
+            });
+
+            child.on('error', reject);
+            child.on('close', code => {
+                if (code === 0) {
+                    resolve();
+                } else {
+                    reject(new Error(`Command "${this.command}" exited with code ${code}`));
+                }
+            });
+
+            child.stdin.on('error', () => {}); // The command may exit without reading stdin
+            child.stdin.end(JSON.stringify(record));
+        });
+    }
+
+    toString() {
+        return `command ${this.command}`;
+    }
+}
+
+class FileNotifier {
+    /**
+     * Notify about a new event by appending it to a file as one line of JSON.
+     * @param {string} file - The file path.
+     */
+    constructor(file) {
+        this.file = file;
+    }
+
+    /**
+     * Send a notification.
+     * @param {Object} record - The new event record.
+     * @param {string} queryName - The name of the watched query that found it.
+     */
+    async notify(record, queryName) {
+        const line = JSON.stringify({ notifiedAt: new Date().toISOString(), query: queryName, event: record });
+        fs.appendFileSync(this.file, line + '\n');
+    }
+
+    toString() {
+        return `file ${this.file}`;
+    }
+}
+
+module.exports = {
+    WebhookNotifier,
+    CommandNotifier,
+    FileNotifier
+};
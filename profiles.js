@@ -0,0 +1,129 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Looked up in the working directory, then in the home directory
+const CONFIG_FILE_NAMES = ['.racorc', '.racorc.json', 'raco.config.json'];
+
+// Profile keys and the CLI option each one stands for; the plural and CLI spellings are accepted too
+const PROFILE_KEYS = {
+    description: null,
+    area: 'area',
+    areas: 'area',
+    artist: 'artist',
+    artists: 'artist',
+    venue: 'venue',
+    promoter: 'promoter',
+    genre: 'genre',
+    genres: 'genre',
+    dates: 'dates',
+    past: 'past',
+    tz: 'tz',
+    timeZone: 'tz',
+    from: 'gte',
+    gte: 'gte',
+    to: 'lte',
+    lte: 'lte',
+    pages: 'pages',
+    maxEvents: 'maxEvents',
+    details: 'details',
+    format: 'format',
+    output: 'output',
+    retries: 'retries',
+    timeout: 'timeout',
+    rate: 'rate'
+};
+
+/**
+ * Find the config file to use.
+ * @param {Array<string>} directories - The directories to look in, in order. (default: working and home directory)
+ * @returns {string|null} The path of the first config file found, or null if there is none.
+ */
+function findConfigFile(directories = [process.cwd(), os.homedir()]) {
+    for (const directory of directories) {
+        for (const name of CONFIG_FILE_NAMES) {
+            const file = path.join(directory, name);
+            if (fs.existsSync(file)) {
+                return file;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Load a config file. Config files are JSON: `{"defaults": {...}, "profiles": {"name": {...}}}`.
+ * @param {string} file - The config file path. (default: the file found by findConfigFile())
+ * @returns {{file: string, defaults: Object, profiles: Object}} The config.
+ * @throws {Error} If there's no config file, or it can't be read.
+ */
+function loadConfig(file = findConfigFile()) {
+    if (!file) {
+        throw new Error(`No config file found. Create ${CONFIG_FILE_NAMES.join(' or ')} in this directory or your home directory, or pass --config.`);
+    }
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read config file ${file}: ${error.message}`);
+    }
+    if (!config || typeof config.profiles !== 'object' || config.profiles === null) {
+        throw new Error(`Config file ${file} has no "profiles" object.`);
+    }
+
+    return { file, defaults: config.defaults || {}, profiles: config.profiles };
+}
+
+/**
+ * Check whether an object has a key of its own, so names like "constructor" don't match inherited properties.
+ * @param {Object} object - The object.
+ * @param {string} key - The key.
+ * @returns {boolean} True if the key is the object's own.
+ */
+function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Turn a profile into CLI options, applying the config defaults.
+ * @param {Object} config - The config, as returned by loadConfig().
+ * @param {string} name - The profile name.
+ * @returns {Object} The options, as the CLI would parse them (area, artist, genre, gte, lte, output, ...).
+ * @throws {Error} If the profile doesn't exist or has keys that aren't known.
+ */
+function getProfile(config, name) {
+    const profile = hasOwn(config.profiles, name) ? config.profiles[name] : null;
+    if (!profile) {
+        const names = Object.keys(config.profiles);
+        throw new Error(`No profile "${name}" in ${config.file}. Available profiles: ${names.length > 0 ? names.join(', ') : 'none'}`);
+    }
+
+    const options = {};
+    for (const [source, values] of [['defaults', config.defaults], [`profile "${name}"`, profile]]) {
+        for (const [key, value] of Object.entries(values)) {
+            if (!hasOwn(PROFILE_KEYS, key)) {
+                throw new Error(`Unknown key "${key}" in ${source} of ${config.file}. Known keys: ${Object.keys(PROFILE_KEYS).join(', ')}`);
+            }
+            if (PROFILE_KEYS[key]) {
+                options[PROFILE_KEYS[key]] = value;
+            }
+        }
+    }
+
+    // Dates from a "dates" window shouldn't be overridden by explicit bounds from the defaults
+    if (profile.dates && !(hasOwn(profile, 'from') || hasOwn(profile, 'gte'))) delete options.gte;
+    if (profile.dates && !(hasOwn(profile, 'to') || hasOwn(profile, 'lte'))) delete options.lte;
+    if (options.pages === 'all') {
+        options.pages = Infinity;
+    }
+
+    return options;
+}
+
+module.exports = {
+    CONFIG_FILE_NAMES,
+    findConfigFile,
+    loadConfig,
+    getProfile
+};
@@ -0,0 +1,87 @@
+/**
+ * Utility function to sleep for a given number of milliseconds.
+ * @param {number} ms - Milliseconds to sleep.
+ * @param {AbortSignal} signal - Optional signal that ends the sleep early when aborted.
+ * @returns {Promise} A promise that resolves after the specified time, or as soon as the signal aborts.
+ */
+function sleep(ms, signal = null) {
+    return new Promise(resolve => {
+        if (signal && signal.aborted) {
+            resolve();
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+class TokenBucket {
+    /**
+     * A token-bucket rate limiter. Each request takes one token; tokens refill at `rate` per second
+     * up to `burst`. Callers are served in the order they asked for a token.
+     * @param {Object} options - Limiter options.
+     * @param {number} options.rate - Tokens added per second. (default: 1)
+     * @param {number} options.burst - Maximum number of tokens that can be saved up. (default: 1)
+     * @throws {Error} If the rate isn't a positive number or the burst is less than 1.
+     */
+    constructor({ rate = 1, burst = 1 } = {}) {
+        if (typeof rate !== 'number' || !(rate > 0)) {
+            throw new Error(`Invalid rate ${rate}: expected a positive number of requests per second.`);
+        }
+        if (typeof burst !== 'number' || !(burst >= 1)) {
+            throw new Error(`Invalid burst ${burst}: expected a number of at least 1.`);
+        }
+        this.rate = rate;
+        this.capacity = burst;
+        this.tokens = burst;
+        this.lastRefill = Date.now();
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Wait until a token is available and take it.
+     * @returns {Promise} A promise that resolves once the caller may send its request.
+     */
+    take() {
+        const turn = this.queue.then(() => this.waitForToken());
+        this.queue = turn.catch(() => {});
+        return turn;
+    }
+
+    /**
+     * Wait for the bucket to hold at least one token, then take it.
+     */
+    async waitForToken() {
+        this.refill();
+
+        if (this.tokens < 1) {
+            await sleep(((1 - this.tokens) / this.rate) * 1000);
+            this.refill();
+        }
+
+        this.tokens -= 1;
+    }
+
+    /**
+     * Add the tokens earned since the last refill.
+     */
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + ((now - this.lastRefill) / 1000) * this.rate);
+        this.lastRefill = now;
+    }
+}
+
+module.exports = {
+    TokenBucket,
+    sleep
+};
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { axiosTransport } = require('./graphqlClient');
+
+/**
+ * Record/replay of GraphQL request/response pairs, for testing offline and spotting RA.co schema drift.
+ * Each pair is saved as one JSON file in a fixture directory: {request: {operationName, variables}, response: {status, data}}.
+ * Replaying matches requests on their operation name and variables; the query text is ignored.
+ */
+
+/**
+ * Serialize a value as JSON with object keys sorted, so equal variables always give the same text.
+ * @param {*} value - The value.
+ * @returns {string} The JSON text.
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+        const entries = Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Get the fixture file name of a request.
+ * @param {Object} payload - The GraphQL payload.
+ * @returns {string} The file name, e.g. "GET_EVENT_LISTINGS-3f2a9c0d41b7.json".
+ */
+function fixtureName(payload) {
+    const hash = crypto.createHash('sha1').update(canonicalJson(payload.variables || {})).digest('hex');
+    return `${payload.operationName || 'query'}-${hash.slice(0, 12)}.json`;
+}
+
+/**
+ * Load every fixture in a directory.
+ * @param {string} directory - The fixture directory.
+ * @returns {Map<string, Object>} The fixtures keyed by file name.
+ */
+function loadFixtures(directory) {
+    const fixtures = new Map();
+    if (!fs.existsSync(directory)) {
+        return fixtures;
+    }
+
+    for (const file of fs.readdirSync(directory).filter(name => name.endsWith('.json')).sort()) {
+        fixtures.set(file, JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8')));
+    }
+    return fixtures;
+}
+
+/**
+ * Create a transport that sends requests through another transport and saves each request/response pair.
+ * Responses are saved whatever their status, so errors can be replayed too.
+ * @param {string} directory - The fixture directory. Created if missing.
+ * @param {Function} transport - The transport to send requests with. (default: axios)
+ * @returns {Function} The transport.
+ */
+function createRecordingTransport(directory, transport = axiosTransport) {
+    return async (request) => {
+        const response = await transport(request);
+
+        const fixture = {
+            request: { operationName: request.payload.operationName, variables: request.payload.variables },
+            response: { status: response.status, data: response.data }
+        };
+        fs.mkdirSync(directory, { recursive: true });
+        fs.writeFileSync(path.join(directory, fixtureName(request.payload)), JSON.stringify(fixture, null, 2) + '\n');
+
+        return response;
+    };
+}
+
+/**
+ * Create a transport that answers requests from recorded fixtures instead of the network.
+ * Requests without a fixture get a 404 response with a GraphQL error naming the missing file.
+ * @param {string|Map<string, Object>} fixtures - The fixture directory, or fixtures as returned by loadFixtures().
+ * @returns {Function} The transport.
+ */
+function createReplayTransport(fixtures) {
+    const recorded = typeof fixtures === 'string' ? loadFixtures(fixtures) : fixtures;
+
+    return async ({ payload }) => {
+        const name = fixtureName(payload);
+        const fixture = recorded.get(name);
+
+        if (!fixture) {
+            return {
+                status: 404,
+                headers: {},
+                data: { errors: [{ message: `No recorded response for ${payload.operationName} (${name})` }] }
+            };
+        }
+        // Hand out a copy, so callers can't change the recording
+        return { status: fixture.response.status, headers: {}, data: JSON.parse(JSON.stringify(fixture.response.data)) };
+    };
+}
+
+module.exports = {
+    canonicalJson,
+    fixtureName,
+    loadFixtures,
+    createRecordingTransport,
+    createReplayTransport
+};
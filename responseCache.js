@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+
+class ResponseCache {
+    /**
+     * A class to cache query results for a while, in memory and optionally on disk, so repeated requests for the
+     * same query don't each go to RA.co. Expired entries are kept, to fall back on when RA.co fails.
+     * @param {Object} options - Cache options.
+     * @param {number} options.ttl - How long entries stay fresh, in milliseconds. (default: 5 minutes)
+     * @param {string} options.file - A JSON file to keep the cache in across restarts. (default: memory only)
+     * @param {number} options.maxEntries - The number of entries to keep; the oldest are dropped first. (default: 500)
+     */
+    constructor({ ttl = 5 * 60 * 1000, file = null, maxEntries = 500 } = {}) {
+        this.ttl = ttl;
+        this.file = file;
+        this.maxEntries = maxEntries;
+        this.entries = this.load();
+        this.pending = new Map();
+    }
+
+    /**
+     * Get a cached value, computing and caching it if there is no fresh one.
+     * Concurrent calls for the same key share one computation.
+     * @param {string} key - The cache key.
+     * @param {Function} compute - Computes the value, returning a promise.
+     * @returns {Promise<{value: *, status: string, storedAt: number}>} The value, with "HIT" (fresh from the
+     *          cache), "MISS" (just computed) or "STALE" (expired, served because computing failed) and its age.
+     */
+    async get(key, compute) {
+        const entry = this.entries.get(key);
+        if (entry && Date.now() - entry.storedAt < this.ttl) {
+            return { value: entry.value, status: 'HIT', storedAt: entry.storedAt };
+        }
+
+        if (!this.pending.has(key)) {
+            const computation = compute()
+                .then(value => this.set(key, value))
+                .finally(() => this.pending.delete(key));
+            this.pending.set(key, computation);
+        }
+
+        try {
+            const stored = await this.pending.get(key);
+            return { value: stored.value, status: 'MISS', storedAt: stored.storedAt };
+        } catch (error) {
+            if (entry) {
+                return { value: entry.value, status: 'STALE', storedAt: entry.storedAt, error };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Store a value.
+     * @param {string} key - The cache key.
+     * @param {*} value - The value. Must be JSON-serializable when the cache is kept on disk.
+     * @returns {{value: *, storedAt: number}} The stored entry.
+     */
+    set(key, value) {
+        const entry = { value, storedAt: Date.now() };
+        // Re-insert so the map stays ordered from oldest to newest
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        this.save();
+        return entry;
+    }
+
+    /**
+     * Drop every entry.
+     */
+    clear() {
+        this.entries.clear();
+        this.save();
+    }
+
+    /**
+     * Load the cache file.
+     * @returns {Map<string, Object>} The entries, empty if there is no cache file or it can't be read.
+     */
+    load() {
+        if (!this.file) {
+            return new Map();
+        }
+        try {
+            return new Map(Object.entries(JSON.parse(fs.readFileSync(this.file, 'utf8'))));
+        } catch (error) {
+            return new Map();
+        }
+    }
+
+    /**
+     * Save the cache file, if the cache is kept on disk.
+     */
+    save() {
+        if (!this.file) {
+            return;
+        }
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(this.file, JSON.stringify(Object.fromEntries(this.entries)));
+    }
+}
+
+module.exports = ResponseCache;
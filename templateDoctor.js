@@ -0,0 +1,405 @@
+const fs = require('fs');
+const EventFetcher = require('./eventFetcher');
+const IdResolver = require('./idResolver');
+const { loadTemplate, postQuery } = require('./graphqlClient');
+const { RaClientError } = require('./errors');
+const { parseDocument, expandSelection, findVariableUsages, findPlaceholders } = require('./graphqlQuery');
+const { loadFixtures } = require('./recorder');
+
+const TEMPLATE_PATTERN = /^graphql_query_template.*\.json$/;
+// What the probe requests ask for: London, Rival Consoles, fabric and a promoter, plus lookups of the same
+const DEFAULT_PROBE = {
+    area: 13,
+    artist: '44361',
+    venue: 168,
+    promoter: 8612,
+    event: null, // Defaults to the event returned by the area probe
+    searchTerm: 'london',
+    countryUrlCode: 'uk',
+    areaUrlName: 'london',
+    artistSlug: 'rivalconsoles'
+};
+// Validation messages from the GraphQL server, turned into what needs patching in the template
+const SCHEMA_ERROR_RULES = [
+    [/Cannot query field "(\w+)" on type "(\w+)"/, match => `field ${match[2]}.${match[1]} no longer exists`],
+    [/Field "(\w+)" must not have a selection since type "([^"]+)" has no subfields/, match => `field ${match[1]} changed type to ${match[2]}, which has no subfields`],
+    [/Field "(\w+)" of type "([^"]+)" must have a selection of subfields/, match => `field ${match[1]} changed type to ${match[2]}, which needs a selection of subfields`],
+    [/Unknown argument "(\w+)" on field "([^"]+)"/, match => `argument ${match[1]} of ${match[2]} no longer exists`],
+    [/Field "(\w+)" argument "(\w+)" of type "([^"]+)" is required/, match => `argument ${match[2]} of ${match[1]} is now required (${match[3]})`],
+    [/Variable "\$(\w+)" of type "([^"]+)" used in position expecting type "([^"]+)"/, match => `variable $${match[1]} is declared as ${match[2]}, RA.co now expects ${match[3]}`],
+    [/Unknown type "(\w+)"/, match => `type ${match[1]} no longer exists`]
+];
+
+/**
+ * Get the JSON type name of a response value.
+ * @param {*} value - The value.
+ * @returns {string} "string", "number", "boolean", "object" or "array".
+ */
+function typeOf(value) {
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Collect the types seen at every leaf path of a response, e.g. "listing.data[].title" -> {"string"}.
+ * @param {*} value - The response value.
+ * @param {string} valuePath - The path of the value.
+ * @param {Map<string, Set<string>>} types - Collected types by path.
+ */
+function collectTypes(value, valuePath, types) {
+    if (value === null || value === undefined) {
+        return;
+    }
+    if (Array.isArray(value)) {
+        value.forEach(item => collectTypes(item, `${valuePath}[]`, types));
+        return;
+    }
+    if (typeof value === 'object') {
+        for (const [key, item] of Object.entries(value)) {
+            collectTypes(item, valuePath ? `${valuePath}.${key}` : key, types);
+        }
+        return;
+    }
+
+    if (!types.has(valuePath)) {
+        types.set(valuePath, new Set());
+    }
+    types.get(valuePath).add(typeOf(value));
+}
+
+/**
+ * Compare a response against the fields its query selects.
+ * @param {Object} tree - The expected field tree, see expandSelection().
+ * @param {*} value - The response value.
+ * @param {string} valuePath - The path of the value.
+ * @param {Map<string, Set<string>>} baseline - Types recorded for each leaf path before, to spot type changes.
+ * @param {Object} result - Collects `checked` (leaf count), the `missing` and `changed` fields, and the `verified` and
+ *                          `unverified` (null or empty) object paths, as sets since list items share their paths.
+ */
+function compareShape(tree, value, valuePath, baseline, result) {
+    if (value === null || value === undefined || (Array.isArray(value) && value.length === 0)) {
+        // Nullable fields and empty lists can't tell us anything about the fields below them
+        if (tree) {
+            result.unverified.add(valuePath);
+        }
+        return;
+    }
+    if (Array.isArray(value)) {
+        value.forEach(item => compareShape(tree, item, `${valuePath}[]`, baseline, result));
+        return;
+    }
+
+    if (tree === null) {
+        result.checked++;
+        const type = typeOf(value);
+        const known = baseline.get(valuePath);
+        if (type === 'object') {
+            result.changed.add(`${valuePath} was a scalar, now an object`);
+        } else if (known && !known.has(type)) {
+            result.changed.add(`${valuePath} was ${Array.from(known).join(' or ')}, now ${type}`);
+        }
+        return;
+    }
+
+    if (typeof value !== 'object') {
+        result.changed.add(`${valuePath} was an object, now ${typeOf(value)}`);
+        return;
+    }
+
+    result.verified.add(valuePath);
+    for (const [key, subtree] of Object.entries(tree)) {
+        const fieldPath = valuePath ? `${valuePath}.${key}` : key;
+        if (!(key in value)) {
+            result.missing.add(fieldPath);
+        } else {
+            compareShape(subtree, value[key], fieldPath, baseline, result);
+        }
+    }
+}
+
+/**
+ * Describe the GraphQL errors of a failed probe.
+ * @param {RaClientError} error - The error raised by the client.
+ * @returns {Array<string>} One description per GraphQL error.
+ */
+function describeQueryErrors(error) {
+    const errors = error.errors || (error.body && error.body.errors) || [];
+    if (errors.length === 0) {
+        return [`probe failed: ${error.message}`];
+    }
+
+    return errors.map(({ message }) => {
+        for (const [pattern, describe] of SCHEMA_ERROR_RULES) {
+            const match = message.match(pattern);
+            if (match) {
+                return describe(match);
+            }
+        }
+        return `RA.co rejected the query: ${message}`;
+    });
+}
+
+class TemplateDoctor {
+    /**
+     * A class to check the GraphQL query templates, so RA.co API changes show up as a list of what to patch.
+     * Checks the payloads generated from each template (unfilled placeholders, required and undeclared variables)
+     * and sends a minimal probe request to compare the response with the fields the template selects.
+     * @param {Object} options - Doctor options.
+     * @param {GraphQLClient} options.client - The client to send probes with. (default: the shared client)
+     * @param {string} options.baseline - A fixture directory with responses recorded from RA.co to compare field types
+     *                                    against. Without one, only missing fields and object/scalar swaps are found.
+     * @param {Object} options.probe - IDs and names to probe with, see DEFAULT_PROBE.
+     */
+    constructor({ client = null, baseline = null, probe = {} } = {}) {
+        this.client = client;
+        this.probe = { ...DEFAULT_PROBE };
+        for (const [key, value] of Object.entries(probe)) {
+            if (value !== undefined && value !== null) this.probe[key] = value;
+        }
+        this.baseline = this.loadBaseline(baseline);
+    }
+
+    /**
+     * List the query template files.
+     * @returns {Array<string>} The template file names.
+     */
+    listTemplates() {
+        return fs.readdirSync(__dirname).filter(file => TEMPLATE_PATTERN.test(file)).sort();
+    }
+
+    /**
+     * Build the payloads the probes send, through the same code that builds them for real requests.
+     * @param {Object} context - Values found by earlier probes (e.g. `eventId`).
+     * @returns {Object} Payload builders by template file name. A builder may return null if it can't probe.
+     */
+    getProbes(context) {
+        const probe = this.probe;
+        const listingDateGte = new Date().toISOString().split('T')[0] + 'T00:00:00.000Z';
+        const resolver = new IdResolver();
+        const listing = (options) => {
+            const { payload } = new EventFetcher({ listingDateGte, ...options });
+            payload.variables.pageSize = 1;
+            return payload;
+        };
+
+        return {
+            'graphql_query_template.json': () => listing({ area: probe.area }),
+            'graphql_query_template_artist.json': () => listing({ artist: probe.artist }),
+            'graphql_query_template_venue.json': () => listing({ venue: probe.venue }),
+            'graphql_query_template_promoter.json': () => listing({ promoter: probe.promoter }),
+            'graphql_query_template_genres.json': () => new EventFetcher({ listingDateGte, area: probe.area }).generateGenreFacetPayload(),
+            'graphql_query_template_event.json': () => {
+                const eventId = probe.event || context.eventId;
+                return eventId ? new EventFetcher({ listingDateGte }).generateEventDetailPayload(eventId) : null;
+            },
+            'graphql_query_template_search.json': () => resolver.generateSearchPayload(probe.searchTerm, 'AREA'),
+            'graphql_query_template_area_lookup.json': () => resolver.generateAreaLookupPayload(probe.countryUrlCode, probe.areaUrlName),
+            'graphql_query_template_artist_lookup.json': () => resolver.generateArtistLookupPayload(probe.artistSlug)
+        };
+    }
+
+    /**
+     * Check every template, probing RA.co unless told not to.
+     * @param {Object} options - Run options.
+     * @param {boolean} options.probe - Whether to send probe requests. (default: true)
+     * @param {AbortSignal} options.signal - Cancels the probes.
+     * @returns {Promise<Array<{template: string, operationName: string, problems: Array<{level: string, message: string}>,
+     *          checkedFields: number, probed: boolean}>>} One result per template.
+     */
+    async run({ probe = true, signal = null } = {}) {
+        const context = {};
+        const probes = this.getProbes(context);
+        const results = [];
+
+        // The event detail probe needs an event ID from a listing, so probe it last
+        const templates = this.listTemplates().sort((a, b) => (a.includes('_event.') ? 1 : 0) - (b.includes('_event.') ? 1 : 0));
+
+        for (const template of templates) {
+            const result = { template, operationName: null, problems: [], checkedFields: 0, probed: false };
+            results.push(result);
+
+            // Templates the code doesn't fill in (or can't yet) still get their query text checked
+            let payload = null;
+            try {
+                payload = probes[template] ? probes[template]() : null;
+                if (!payload && (probe || !probes[template])) {
+                    result.problems.push({
+                        level: 'warning',
+                        message: probes[template]
+                            ? 'no event ID to probe with; pass one with --event'
+                            : 'no probe defined for this template; only checked the query text'
+                    });
+                }
+            } catch (error) {
+                result.problems.push({ level: 'error', message: `could not build the payload: ${error.message}` });
+            }
+            const filled = Boolean(payload);
+            payload = payload || loadTemplate(template);
+
+            result.operationName = payload.operationName;
+            result.problems.unshift(...this.checkPayload(payload, { filled }));
+
+            if (probe && filled && !result.problems.some(problem => problem.level === 'error')) {
+                const outcome = await this.probeTemplate(payload, signal);
+                result.probed = true;
+                result.checkedFields = outcome.checkedFields;
+                result.problems.push(...outcome.problems);
+
+                const firstEvent = outcome.data?.eventListings?.data?.[0];
+                if (firstEvent && firstEvent.event) {
+                    context.eventId = firstEvent.event.id;
+                }
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Check a payload without sending it.
+     * @param {Object} payload - The payload generated from a template.
+     * @param {Object} options - Check options.
+     * @param {boolean} options.filled - Whether the payload was filled in by the code; raw templates still hold placeholders.
+     * @returns {Array<{level: string, message: string}>} The problems found.
+     */
+    checkPayload(payload, { filled = true } = {}) {
+        const problems = [];
+        const error = message => problems.push({ level: 'error', message });
+        const warning = message => problems.push({ level: 'warning', message });
+
+        let document;
+        let tree;
+        try {
+            document = parseDocument(payload.query || '');
+            if (document.operations.length !== 1) {
+                error(`the query should hold exactly one operation, found ${document.operations.length}`);
+                return problems;
+            }
+            tree = expandSelection(document.operations[0].selection, document.fragments);
+        } catch (parseError) {
+            error(`the query can't be read: ${parseError.message}`);
+            return problems;
+        }
+
+        const operation = document.operations[0];
+        if (operation.name !== payload.operationName) {
+            error(`operationName is "${payload.operationName}" but the query is named "${operation.name}"`);
+        }
+        if (Object.keys(tree).length === 0) {
+            error('the query selects no fields');
+        }
+
+        if (filled) {
+            for (const { path: variablePath, placeholder } of findPlaceholders(payload.variables)) {
+                error(`unfilled placeholder ${placeholder} in ${variablePath}`);
+            }
+        }
+
+        const variables = payload.variables || {};
+        const declared = new Set(operation.variables.map(variable => variable.name));
+        for (const variable of operation.variables) {
+            if (variable.required && (variables[variable.name] === undefined || variables[variable.name] === null)) {
+                error(`required variable $${variable.name} (${variable.type}) is not set`);
+            }
+        }
+        for (const name of findVariableUsages(payload.query)) {
+            if (!declared.has(name)) {
+                error(`variable $${name} is used but not declared`);
+            }
+        }
+        for (const name of Object.keys(variables)) {
+            if (!declared.has(name)) {
+                warning(`variable ${name} is sent but not declared by the query`);
+            }
+        }
+
+        return problems;
+    }
+
+    /**
+     * Send a payload and compare the response with the fields its query selects.
+     * @param {Object} payload - The payload to send.
+     * @param {AbortSignal} signal - Cancels the request.
+     * @returns {Promise<{problems: Array<{level: string, message: string}>, checkedFields: number, data: (Object|null)}>}
+     *          The problems found, how many leaf fields were checked and the response data.
+     */
+    async probeTemplate(payload, signal = null) {
+        const document = parseDocument(payload.query);
+        const tree = expandSelection(document.operations[0].selection, document.fragments);
+
+        let data;
+        try {
+            data = await this.request(payload, signal);
+        } catch (error) {
+            if (!(error instanceof RaClientError)) {
+                throw error;
+            }
+            return {
+                problems: describeQueryErrors(error).map(message => ({ level: 'error', message })),
+                checkedFields: 0,
+                data: null
+            };
+        }
+
+        const result = { checked: 0, missing: new Set(), changed: new Set(), verified: new Set(), unverified: new Set() };
+        compareShape(tree, data, '', this.baseline.get(payload.operationName) || new Map(), result);
+
+        const problems = [
+            ...Array.from(result.missing, fieldPath => ({ level: 'error', message: `missing field ${fieldPath}` })),
+            ...Array.from(result.changed, change => ({ level: 'error', message: `type changed: ${change}` }))
+        ];
+        // A field may be null in one event and filled in the next; only report what was never seen
+        const unverified = Array.from(result.unverified).filter(fieldPath => !result.verified.has(fieldPath));
+        if (unverified.length > 0) {
+            problems.push({
+                level: 'warning',
+                message: `empty in the response, so the fields below weren't checked: ${unverified.join(', ')}`
+            });
+        }
+
+        return { problems, checkedFields: result.checked, data };
+    }
+
+    /**
+     * Load the field types of recorded responses, by operation name.
+     * @param {string} directory - The fixture directory, or null for an empty baseline.
+     * @returns {Map<string, Map<string, Set<string>>>} The types by operation name and leaf path.
+     * @throws {Error} If the directory doesn't exist.
+     */
+    loadBaseline(directory) {
+        const baseline = new Map();
+        if (!directory) {
+            return baseline;
+        }
+        if (!fs.existsSync(directory)) {
+            throw new Error(`Baseline directory ${directory} not found.`);
+        }
+
+        for (const fixture of loadFixtures(directory).values()) {
+            const data = fixture.response.data && fixture.response.data.data;
+            if (fixture.response.status !== 200 || !data) {
+                continue;
+            }
+
+            const operationName = fixture.request.operationName;
+            if (!baseline.has(operationName)) {
+                baseline.set(operationName, new Map());
+            }
+            collectTypes(data, '', baseline.get(operationName));
+        }
+
+        return baseline;
+    }
+
+    /**
+     * Send a GraphQL payload through this doctor's client, or the shared one.
+     * @param {Object} payload - The GraphQL payload.
+     * @param {AbortSignal} signal - Optional signal to cancel the request.
+     * @returns {Promise<Object>} The response `data` object.
+     */
+    request(payload, signal = null) {
+        return this.client ? this.client.query(payload, { signal }) : postQuery(payload, { signal });
+    }
+}
+
+module.exports = TemplateDoctor;
+module.exports.DEFAULT_PROBE = DEFAULT_PROBE;
@@ -0,0 +1,164 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApiServer } = require('../apiServer');
+const ResponseCache = require('../responseCache');
+const { InvalidQueryError, RateLimitedError, TimeoutError } = require('../errors');
+const { replayClient } = require('./helpers');
+
+const WEEK_QUERY = 'from=2025-09-01&to=2025-09-07';
+
+describe('API server', () => {
+    let server;
+    let baseUrl;
+    let cache;
+
+    before(async () => {
+        cache = new ResponseCache({ ttl: 60 * 1000 });
+        ({ server, url: baseUrl } = await startApiServer({ client: replayClient(), cache }, 0));
+    });
+
+    after(() => server.close());
+
+    it('answers event queries with the output document', async () => {
+        const response = await fetch(`${baseUrl}/events?area=13&${WEEK_QUERY}&pages=all`);
+        const body = await response.json();
+
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('x-cache'), 'MISS');
+        assert.equal(response.headers.get('access-control-allow-origin'), '*');
+        assert.deepEqual(Object.keys(body), ['metadata', 'events']);
+        assert.equal(body.metadata.totalEvents, 23);
+        assert.equal(body.events[0].venue, 'Village Underground');
+    });
+
+    it('caches results whatever the parameter order', async () => {
+        const response = await fetch(`${baseUrl}/events?pages=all&to=2025-09-07&from=2025-09-01&area=13`);
+
+        assert.equal(response.headers.get('x-cache'), 'HIT');
+        assert.match(response.headers.get('cache-control'), /^max-age=\d+$/);
+    });
+
+    it('serves other formats by extension', async () => {
+        const ics = await fetch(`${baseUrl}/events.ics?artist=44361,1013&${WEEK_QUERY}`);
+        const csv = await fetch(`${baseUrl}/events?artist=44361&artist=1013&${WEEK_QUERY}&format=csv`);
+
+        assert.equal(ics.headers.get('content-type'), 'text/calendar; charset=utf-8');
+        assert.equal((await ics.text()).match(/BEGIN:VEVENT/g).length, 4);
+        assert.equal(csv.headers.get('content-type'), 'text/csv; charset=utf-8');
+        // Repeated and comma-separated artists are the same query
+        assert.equal(csv.headers.get('x-cache'), 'HIT');
+    });
+
+    it('lists genres', async () => {
+        const response = await fetch(`${baseUrl}/genres?area=13&${WEEK_QUERY}`);
+
+        assert.deepEqual((await response.json()).map(genre => genre.value), ['techno', 'house', 'electro']);
+    });
+
+    it('rejects bad requests', async () => {
+        const cases = [
+            [`/events?area=13&bogus=1`, 400, /Unknown parameter "bogus"/],
+            [`/events?area=13&dates=someday`, 400, /Unrecognized date window "someday"/],
+            [`/events?venue=fabric`, 400, /"venue" must be a number/],
+            [`/events?venue=168&promoter=8612`, 400, /either a venue or a promoter/],
+            [`/events?area=13&tz=Mars/Olympus`, 400, /Unknown timezone "Mars\/Olympus"/],
+            [`/events.xml?area=13`, 404, /Unknown format ".xml"/],
+            [`/genres?${WEEK_QUERY}`, 400, /"area" is required/],
+            [`/artists`, 404, /Not found/]
+        ];
+        for (const [path, status, message] of cases) {
+            const response = await fetch(`${baseUrl}${path}`);
+            assert.equal(response.status, status, path);
+            assert.match((await response.json()).error.message, message);
+        }
+
+        assert.equal((await fetch(`${baseUrl}/events`, { method: 'POST' })).status, 405);
+    });
+
+    it('answers with a gateway error when RA.co fails', async () => {
+        const response = await fetch(`${baseUrl}/events?area=13&from=2030-01-01`);
+
+        assert.equal(response.status, 502);
+        assert.match((await response.json()).error.message, /No recorded response/);
+    });
+});
+
+describe('API server errors', () => {
+    /**
+     * Start a server whose client fails every query with an error.
+     * @param {Error} error - The error.
+     * @returns {Promise<{server: http.Server, url: string}>} The server.
+     */
+    function failingServer(error) {
+        return startApiServer({ client: { fetchAll: async () => { throw error; } } }, 0);
+    }
+
+    it('maps rate limiting and timeouts to 503 and 504', async () => {
+        const cases = [
+            [new RateLimitedError('Rate limited by RA.co (429)', { status: 429, retryAfter: 30000 }), 503],
+            [new TimeoutError('Request timed out'), 504]
+        ];
+        for (const [error, status] of cases) {
+            const { server, url } = await failingServer(error);
+            const response = await fetch(`${url}/events?area=13`);
+            server.close();
+
+            assert.equal(response.status, status);
+            if (status === 503) {
+                assert.equal(response.headers.get('retry-after'), '30');
+            }
+        }
+    });
+
+    it('maps invalid queries to 400 and any other error to 500', async () => {
+        const cases = [
+            [new InvalidQueryError('Genre filters only work with area queries'), 400],
+            [new TypeError('Cannot read properties of undefined (reading \'id\')'), 500],
+            [new Error('Something broke'), 500]
+        ];
+        for (const [error, status] of cases) {
+            const { server, url } = await failingServer(error);
+            const response = await fetch(`${url}/events?area=13`);
+            server.close();
+
+            assert.equal(response.status, status, error.message);
+        }
+    });
+
+    it('serves an expired result when RA.co fails', async () => {
+        const results = [{ metadata: { totalEvents: 0 }, events: [] }, new TimeoutError('Request timed out')];
+        const client = {
+            fetchAll: async () => {
+                const result = results.shift();
+                if (result instanceof Error) throw result;
+                return result;
+            }
+        };
+        const { server, url } = await startApiServer({ client, cache: new ResponseCache({ ttl: 0 }) }, 0);
+        await fetch(`${url}/events?area=13`);
+        const response = await fetch(`${url}/events?area=13`);
+        server.close();
+
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('x-cache'), 'STALE');
+        assert.match(response.headers.get('warning'), /Response is stale: Request timed out/);
+    });
+
+    it('keeps the stale warning a valid header whatever the error message', async () => {
+        const results = [{ metadata: { totalEvents: 0 }, events: [] }, new TimeoutError('RA.co is “unavailable”\nretry later')];
+        const client = {
+            fetchAll: async () => {
+                const result = results.shift();
+                if (result instanceof Error) throw result;
+                return result;
+            }
+        };
+        const { server, url } = await startApiServer({ client, cache: new ResponseCache({ ttl: 0 }) }, 0);
+        await fetch(`${url}/events?area=13`);
+        const response = await fetch(`${url}/events?area=13`);
+        server.close();
+
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('warning'), '110 - "Response is stale: RA.co is unavailable retry later"');
+    });
+});
@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir } = require('./helpers');
+const { createProgram, parseCount, parseId, parseList, parsePages } = require('../cli');
+
+/**
+ * Parse command line arguments without running the command or printing usage errors.
+ * @param {Array<string>} args - The arguments, without the node and script paths.
+ * @returns {Promise<Object>} The options of the command that would run; rejects with commander's error if the arguments aren't valid.
+ */
+async function parse(args) {
+    let options;
+    const program = createProgram();
+    for (const command of [program, ...program.commands]) {
+        command.exitOverride().configureOutput({ writeErr: () => {} }).action(opts => options = opts);
+    }
+    await program.parseAsync(args, { from: 'user' });
+    return options;
+}
+
+describe('command line options', () => {
+    it('parses numeric IDs', () => {
+        assert.equal(parseId('168'), 168);
+        assert.equal(parseId(' 8612 '), 8612);
+        for (const value of ['fabric', '12abc', '-1', '0', '1.5', '']) {
+            assert.throws(() => parseId(value), { code: 'commander.invalidArgument' }, value);
+        }
+    });
+
+    it('parses page counts and lists', () => {
+        assert.equal(parsePages('3'), 3);
+        assert.equal(parsePages('all'), Infinity);
+        assert.deepEqual(parseList('1013, 44361,,'), ['1013', '44361']);
+        assert.deepEqual(parseList(['13', '34,london']), ['13', '34', 'london']);
+        assert.deepEqual(parseList(undefined), []);
+    });
+
+    it('rejects page and event counts that are not positive numbers', async () => {
+        assert.equal(parseCount('5'), 5);
+        for (const value of ['abc', '0', '-1', '2.5', '']) {
+            assert.throws(() => parsePages(value), { code: 'commander.invalidArgument' }, value);
+            assert.throws(() => parseCount(value), { code: 'commander.invalidArgument' }, value);
+        }
+        assert.throws(() => parseCount('all'), { code: 'commander.invalidArgument' });
+        await assert.rejects(parse(['--pages', 'abc']), { code: 'commander.invalidArgument' });
+        await assert.rejects(parse(['--max-events', '0']), { code: 'commander.invalidArgument' });
+        assert.equal((await parse(['-n', '10'])).maxEvents, 10);
+    });
+
+    it('takes a venue or a promoter ID', async () => {
+        assert.equal((await parse(['-v', '168'])).venue, 168);
+        assert.equal((await parse(['--promoter', '8612'])).promoter, 8612);
+    });
+
+    it('rejects a venue or promoter that is not a number', async () => {
+        await assert.rejects(parse(['--venue', 'fabric']), { code: 'commander.invalidArgument' });
+        await assert.rejects(parse(['-m', 'abc']), { code: 'commander.invalidArgument' });
+    });
+
+    it('rejects a venue together with a promoter', async () => {
+        await assert.rejects(parse(['-v', '168', '-m', '8612']), { code: 'commander.conflictingOption' });
+    });
+
+    it('rejects an unknown output format', async () => {
+        assert.equal((await parse(['-o', 'events.ics', '-f', 'csv'])).format, 'csv');
+        await assert.rejects(parse(['-o', 'x.json', '-f', 'bogus', '-r', '13']), { code: 'commander.invalidArgument' });
+        await assert.rejects(parse(['run', '--profile', 'weekend', '-f', 'bogus']), { code: 'commander.invalidArgument' });
+    });
+
+    it('rejects an unknown profile format before fetching', async (t) => {
+        t.mock.method(console, 'log', () => {});
+        const config = path.join(tempDir(), 'raco.config.json');
+        fs.writeFileSync(config, JSON.stringify({ profiles: { weekend: { area: '13', output: 'x.json', format: 'bogus' } } }));
+
+        // The client isn't created before the format is checked, so this can't reach the network
+        await assert.rejects(createProgram().exitOverride().parseAsync(['run', '--profile', 'weekend', '-c', config], { from: 'user' }), /Unknown output format "bogus"/);
+    });
+
+    it('sorts the list by one of the known orders', async () => {
+        assert.equal((await parse(['list'])).sort, 'date');
+        assert.equal((await parse(['list', '--sort', 'attending'])).sort, 'attending');
+        await assert.rejects(parse(['list', '--sort', 'popularity']), { code: 'commander.invalidArgument' });
+    });
+});
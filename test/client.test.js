@@ -0,0 +1,402 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { AbortError, HttpError } = require('../errors');
+const { validateEvent } = require('../eventModel');
+const { resolveDate } = require('../dates');
+const { replayClient, fixtures, WEEK } = require('./helpers');
+
+/**
+ * Format an instant as RA.co writes event times: local to the venue, without an offset.
+ * @param {Date} date - The instant.
+ * @param {string} timeZone - The venue's timezone.
+ * @returns {string} The local date-time, e.g. "2025-09-05T23:00:00.000".
+ */
+function localTime(date, timeZone) {
+    return `${date.toLocaleString('sv-SE', { timeZone }).replace(' ', 'T')}.000`;
+}
+
+/**
+ * Collect every event of a query.
+ * @param {AsyncIterable} iterator - The iterator returned by RaClient.events().
+ * @returns {Promise<Array>} The events.
+ */
+async function collect(iterator) {
+    const events = [];
+    for await (const event of iterator) {
+        events.push(event);
+    }
+    return events;
+}
+
+describe('RaClient.events', () => {
+    it('streams normalized area events across pages', async () => {
+        const iterator = replayClient().events({ area: 13, ...WEEK });
+        const events = await collect(iterator);
+
+        assert.equal(events.length, 23);
+        assert.equal(iterator.stats.events, 23);
+        assert.equal(iterator.stats.truncated, false);
+        for (const event of events) {
+            assert.deepEqual(validateEvent(event).errors, []);
+        }
+        assert.equal(events[4].pick.blurb, 'A marathon set from Ben UFO.');
+    });
+
+    it('yields events before the next page is fetched', async () => {
+        const client = replayClient();
+        const requests = [];
+        const query = client.client.query.bind(client.client);
+        client.client.query = (payload, options) => {
+            requests.push(payload.variables.page);
+            return query(payload, options);
+        };
+
+        const iterator = client.events({ area: 13, ...WEEK });
+        await iterator.next();
+        assert.deepEqual(requests, [1]);
+        await iterator.return();
+    });
+
+    it('reports truncation through the iterator stats', async () => {
+        const iterator = replayClient().events({ area: 13, maxPages: 1, ...WEEK });
+        const events = await collect(iterator);
+
+        assert.equal(events.length, 20);
+        assert.equal(iterator.stats.truncated, true);
+    });
+
+    it('filters area events by genre', async () => {
+        const events = await collect(replayClient().events({ area: 13, genre: 'techno', ...WEEK }));
+
+        assert.equal(events.length, 2);
+    });
+
+    it('dedupes multi-artist events and records the matched artists', async () => {
+        const events = await collect(replayClient().events({ artists: ['44361', '1013'], ...WEEK }));
+
+        assert.deepEqual(events.map(event => [event.id, event.matchedArtists]), [
+            ['2210000', ['44361']],
+            ['2210001', ['44361', '1013']],
+            ['2210002', ['44361']],
+            ['2210003', ['1013']]
+        ]);
+    });
+
+    it('fetches each area of multi-area queries', async () => {
+        const client = replayClient();
+        const areas = [];
+        const query = client.client.query.bind(client.client);
+        client.client.query = (payload, options) => {
+            areas.push(payload.variables.filters.areas.eq);
+            if (payload.variables.filters.areas.eq === 34) {
+                return Promise.resolve({ eventListings: { data: [], totalResults: 0 } });
+            }
+            return query(payload, options);
+        };
+
+        const iterator = client.events({ areas: [13, 34], ...WEEK });
+        const events = await collect(iterator);
+
+        assert.equal(events.length, 23);
+        assert.deepEqual(areas, [13, 13, 34]);
+        assert.deepEqual(iterator.stats.query.areas, [13, 34]);
+        assert.equal(iterator.stats.query.area, null);
+    });
+
+    it('drops artist events outside the requested area', async () => {
+        const events = await collect(replayClient().events({ artists: ['44361', '1013'], area: 13, ...WEEK }));
+
+        assert.deepEqual(events.map(event => event.id), ['2210000', '2210001', '2210003']);
+        assert.ok(events.every(event => event.venueDetails.area.id === '13'));
+    });
+
+    it('lists venue events', async () => {
+        const events = await collect(replayClient().events({ venue: 168, ...WEEK }));
+
+        assert.equal(events.length, 3);
+        assert.ok(events.every(event => event.venue === 'Fabric'));
+    });
+
+    it('resolves names and slugs before querying', async () => {
+        const client = replayClient();
+        const resolved = await client.resolveQuery({ area: 'london', artist: 'ra.co/dj/rivalconsoles', ...WEEK });
+
+        assert.equal(resolved.area, 13);
+        assert.deepEqual(resolved.artists, ['44361']);
+        assert.equal(resolved.from, '2025-09-01T00:00:00.000Z');
+        assert.equal(resolved.to, '2025-09-07T23:59:59.999Z');
+    });
+
+    it('fills in dates from a date window', async () => {
+        const resolved = await replayClient().resolveQuery({ dates: '2025-09-01..2025-09-07', to: '2025-09-03' });
+
+        assert.equal(resolved.from, '2025-09-01T00:00:00.000Z');
+        assert.equal(resolved.to, '2025-09-03T23:59:59.999Z');
+    });
+
+    it('stops with an AbortError when the signal is aborted', async () => {
+        const controller = new AbortController();
+        const iterator = replayClient().events({ area: 13, signal: controller.signal, ...WEEK });
+
+        await iterator.next();
+        controller.abort();
+        // The first page is already in memory, so the error comes with the next request
+        await assert.rejects(collect(iterator), AbortError);
+    });
+
+    it('fails on queries that were not recorded', async () => {
+        await assert.rejects(collect(replayClient().events({ area: 13, from: '2030-01-01' })), (error) => {
+            assert.ok(error instanceof HttpError);
+            assert.match(error.message, /No recorded response for GET_EVENT_LISTINGS/);
+            return true;
+        });
+    });
+
+    it('logs nothing unless given a logger', async () => {
+        const lines = [];
+        const { log, warn } = console;
+        console.log = console.warn = line => lines.push(line);
+        try {
+            await collect(replayClient().events({ artists: ['44361', '1013'], maxPages: 1, ...WEEK }));
+        } finally {
+            Object.assign(console, { log, warn });
+        }
+
+        assert.deepEqual(lines, []);
+    });
+});
+
+describe('RaClient timezones', () => {
+    it('resolves relative dates in the area timezone, looking it up once', async () => {
+        const client = replayClient();
+        const listing = Array.from(fixtures.values()).find(fixture => fixture.request.operationName === 'GET_EVENT_LISTINGS');
+        const payloads = [];
+        client.client.query = async (payload) => {
+            payloads.push(payload);
+            return listing.response.data.data;
+        };
+
+        const resolved = await client.resolveQuery({ area: 13, dates: 'next 7 days' });
+        await client.resolveQuery({ area: 13, dates: 'today' });
+
+        assert.equal(resolved.timeZone, 'Europe/London');
+        assert.equal(resolved.from, `${resolveDate('today', new Date(), 'Europe/London')}T00:00:00.000Z`);
+        assert.equal(payloads.length, 1);
+        assert.equal(payloads[0].variables.pageSize, 1);
+        assert.equal(client.resolver.getTimezone(13), 'Europe/London');
+    });
+
+    it('uses the timezone given and rejects unknown ones', async () => {
+        const client = replayClient();
+        client.client.query = () => assert.fail('should not look up the area timezone');
+
+        const resolved = await client.resolveQuery({ area: 13, dates: 'today', timeZone: 'Pacific/Kiritimati' });
+        assert.equal(resolved.timeZone, 'Pacific/Kiritimati');
+        assert.equal(resolved.from, `${resolveDate('today', new Date(), 'Pacific/Kiritimati')}T00:00:00.000Z`);
+        await assert.rejects(client.resolveQuery({ timeZone: 'Mars/Olympus' }), /Unknown timezone "Mars\/Olympus"/);
+    });
+
+    it('rejects venue and promoter IDs that are not numbers', async () => {
+        const client = replayClient();
+        client.client.query = () => assert.fail('should not fetch anything');
+
+        assert.equal((await client.resolveQuery({ venue: '168', ...WEEK })).venue, 168);
+        for (const venue of ['berghain', '12abc', 0, -1, 1.5]) {
+            await assert.rejects(client.resolveQuery({ venue, ...WEEK }), { name: 'InvalidQueryError' }, String(venue));
+        }
+        await assert.rejects(client.fetchAll({ promoter: 'abc', ...WEEK }), /Invalid promoter ID "abc"/);
+    });
+
+    it('needs no timezone for absolute dates', async () => {
+        const client = replayClient();
+        client.client.query = () => assert.fail('should not look up the area timezone');
+
+        const resolved = await client.resolveQuery({ area: 13, ...WEEK });
+        assert.equal(resolved.timeZone, null);
+    });
+
+    /**
+     * Create a client whose London listing has the given events listed yesterday and today, paged like RA.co.
+     * @param {Object} days - The events of each day, from dayEvents().
+     * @param {Array<Object>} days.yesterday - Yesterday's listings.
+     * @param {Array<Object>} days.today - Today's listings.
+     * @returns {RaClient} The client, with the variables of each request in `requests`.
+     */
+    function dayListingClient({ yesterday, today }) {
+        const client = replayClient();
+        const yesterdayDate = resolveDate('yesterday', new Date(), 'Europe/London');
+        client.requests = [];
+        client.client.query = async (payload) => {
+            const { filters, page, pageSize } = payload.variables;
+            client.requests.push(payload.variables);
+            const events = filters.listingDate.gte.startsWith(yesterdayDate) ? yesterday : today;
+            return { eventListings: { data: events.slice((page - 1) * pageSize, page * pageSize), totalResults: events.length } };
+        };
+        return client;
+    }
+
+    /**
+     * Build London listings for a day, each starting six hours ago.
+     * @param {string} day - "yesterday" or "today".
+     * @param {Array<number>} hoursLeft - How long each event runs from now on; negative if it has ended.
+     * @param {number} firstId - The ID of the first event. (default: 1)
+     * @returns {Array<Object>} The listings.
+     */
+    function dayEvents(day, hoursLeft, firstId = 1) {
+        const now = Date.now();
+        const date = `${resolveDate(day, new Date(), 'Europe/London')}T00:00:00.000`;
+        return hoursLeft.map((hours, index) => ({
+            id: String(firstId + index),
+            listingDate: date,
+            event: {
+                id: String(firstId + index),
+                title: `Event ${firstId + index}`,
+                date,
+                startTime: localTime(new Date(now - 6 * 3600000), 'Europe/London'),
+                endTime: localTime(new Date(now + hours * 3600000), 'Europe/London'),
+                venue: { id: '1', name: 'Venue', area: { id: '13', name: 'London', urlName: 'london', country: { id: '29', name: 'United Kingdom', urlCode: 'UK' } } }
+            }
+        }));
+    }
+
+    it('keeps events from yesterday that are still running on queries that start today', async () => {
+        const client = dayListingClient({ yesterday: dayEvents('yesterday', [2, -2]), today: dayEvents('today', [8], 3) });
+        const yesterday = resolveDate('yesterday', new Date(), 'Europe/London');
+
+        const events = await collect(client.events({ area: 13, dates: 'today', timeZone: 'Europe/London' }));
+
+        assert.deepEqual(events.map(event => event.id), ['1', '3']);
+        // Yesterday's events come from a query of their own, limited to yesterday
+        assert.deepEqual(client.requests[0].filters.listingDate, { gte: `${yesterday}T00:00:00.000Z`, lte: `${yesterday}T23:59:59.999Z` });
+        assert.equal(client.requests.at(-1).filters.listingDate.gte, `${resolveDate('today', new Date(), 'Europe/London')}T00:00:00.000Z`);
+    });
+
+    it('still returns a full page of today\'s events when one page starting today is asked for', async () => {
+        const running = new Array(25).fill(-2);
+        running[5] = 3;
+        const client = dayListingClient({ yesterday: dayEvents('yesterday', running), today: dayEvents('today', new Array(30).fill(8), 100) });
+
+        const result = await client.fetchAll({ area: 13, dates: 'today', timeZone: 'Europe/London', maxPages: 1 });
+
+        assert.equal(result.events.length, 21);
+        assert.equal(result.events[0].id, '6');
+        assert.deepEqual(result.events.slice(1).map(event => event.id), Array.from({ length: 20 }, (value, index) => String(100 + index)));
+        assert.equal(result.truncated, true);
+        // One page of yesterday's events, one of today's
+        assert.equal(client.requests.length, 2);
+    });
+
+    it('counts the events kept from yesterday towards the event limit', async () => {
+        const client = dayListingClient({ yesterday: dayEvents('yesterday', [3, -2, 3, 3]), today: dayEvents('today', new Array(10).fill(8), 100) });
+
+        const limited = await client.fetchAll({ area: 13, dates: 'today', timeZone: 'Europe/London', maxEvents: 5 });
+        const filled = await client.fetchAll({ area: 13, dates: 'today', timeZone: 'Europe/London', maxEvents: 2 });
+
+        assert.ok(limited.events.length <= 5);
+        assert.deepEqual(limited.events.map(event => event.id), ['1', '3', '4', '100', '101']);
+        assert.equal(limited.truncated, true);
+        assert.deepEqual(filled.events.map(event => event.id), ['1', '3']);
+        assert.equal(filled.truncated, true);
+    });
+
+    it('resolves relative dates in each area\'s own timezone', async () => {
+        const client = replayClient();
+        // 25 hours apart, so their days always differ
+        client.resolver.rememberTimezone(1, 'Pacific/Kiritimati');
+        client.resolver.rememberTimezone(2, 'Pacific/Pago_Pago');
+        const requests = [];
+        client.client.query = async (payload) => {
+            requests.push(payload.variables.filters);
+            return { eventListings: { data: [], totalResults: 0 } };
+        };
+
+        await collect(client.events({ areas: [1, 2], dates: 'tomorrow' }));
+
+        assert.deepEqual(requests.map(filters => [filters.areas.eq, filters.listingDate.gte]), [
+            [1, `${resolveDate('tomorrow', new Date(), 'Pacific/Kiritimati')}T00:00:00.000Z`],
+            [2, `${resolveDate('tomorrow', new Date(), 'Pacific/Pago_Pago')}T00:00:00.000Z`]
+        ]);
+    });
+
+    it('does not look back for queries that start on a later day', () => {
+        const client = replayClient();
+        const now = new Date('2025-09-05T23:30:00Z');
+
+        assert.equal(client.getLookbackDate({ from: '2025-09-06T00:00:00.000Z', timeZone: 'Europe/London' }, now), '2025-09-05T00:00:00.000Z');
+        assert.equal(client.getLookbackDate({ from: '2025-09-06T00:00:00.000Z', timeZone: 'America/New_York' }, now), null);
+        assert.equal(client.getLookbackDate({ from: '2025-09-06T00:00:00.000Z', timeZone: 'Europe/London', past: true }, now), null);
+    });
+});
+
+describe('RaClient.fetchAll', () => {
+    it('builds the output document', async () => {
+        const result = await replayClient().fetchAll({ artists: ['44361', '1013'], area: 13, ...WEEK });
+
+        assert.equal(result.metadata.totalEvents, 3);
+        assert.equal(result.metadata.truncated, false);
+        assert.deepEqual(result.metadata.queryInfo, {
+            area: 13,
+            areas: [13],
+            artist: '44361,1013',
+            venue: null,
+            promoter: null,
+            genres: [],
+            dateRange: { gte: '2025-09-01T00:00:00.000Z', lte: '2025-09-07T23:59:59.999Z' }
+        });
+        assert.deepEqual(result.query.artists, ['44361', '1013']);
+    });
+
+    it('lists past events newest first, with events per year and country', async () => {
+        const result = await replayClient().fetchAll({ artists: ['44361'], past: true, to: '2025-09-07', maxPages: Infinity });
+        const dates = result.events.map(event => event.date);
+
+        assert.equal(result.events.length, 25);
+        assert.deepEqual(dates, [...dates].sort().reverse());
+        assert.equal(result.metadata.queryInfo.past, true);
+        assert.deepEqual(result.metadata.queryInfo.dateRange, { gte: null, lte: '2025-09-07T23:59:59.999Z' });
+        assert.deepEqual(result.metadata.summary, {
+            complete: true,
+            years: [
+                { value: '2025', name: '2025', count: 7 },
+                { value: '2024', name: '2024', count: 8 },
+                { value: '2023', name: '2023', count: 9 },
+                { value: '2022', name: '2022', count: 1 }
+            ],
+            countries: [
+                { value: '29', name: 'United Kingdom', count: 13 },
+                { value: '18', name: 'Germany', count: 8 },
+                { value: '27', name: 'Netherlands', count: 4 }
+            ]
+        });
+    });
+
+    it('leaves counts unknown for years the fetched pages did not reach', async () => {
+        const { metadata } = await replayClient().fetchAll({ artists: ['44361'], past: true, to: '2025-09-07', maxPages: 1 });
+
+        assert.equal(metadata.summary.complete, false);
+        assert.deepEqual(metadata.summary.years.map(year => year.count), [7, 8, 5, null]);
+    });
+
+    it('fetches event details', async () => {
+        const result = await replayClient().fetchAll({ artists: ['1013'], maxEvents: 1, details: true, ...WEEK });
+
+        assert.equal(result.events[0].lineup, 'Rival Consoles b2b Seth Troxler');
+        assert.deepEqual(result.events[0].genres, ['Techno', 'Electronica']);
+        assert.deepEqual(validateEvent(result.events[0]).errors, []);
+    });
+});
+
+describe('RaClient lookups', () => {
+    it('lists genre facets', async () => {
+        const genres = await replayClient().genres({ area: 13, ...WEEK });
+
+        assert.deepEqual(genres.map(genre => [genre.value, genre.count]), [['techno', 11], ['house', 9], ['electro', 3]]);
+    });
+
+    it('searches areas and artists', async () => {
+        const client = replayClient();
+
+        assert.deepEqual((await client.searchAreas('london')).map(area => area.id), ['13', '566']);
+        assert.equal((await client.searchArtists('rival consoles'))[0].name, 'Rival Consoles');
+    });
+});
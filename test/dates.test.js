@@ -0,0 +1,106 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveDate, resolveWindow, toZonedTimestamp, isRelativeDate } = require('../dates');
+const { InvalidQueryError } = require('../errors');
+
+// A Wednesday
+const NOW = new Date('2025-09-03T15:30:00Z');
+
+describe('resolveDate', () => {
+    it('keeps absolute dates', () => {
+        assert.equal(resolveDate('2025-09-01', NOW), '2025-09-01');
+        assert.equal(resolveDate('2025-09-01T18:00:00.000Z', NOW), '2025-09-01T18:00:00.000Z');
+        assert.equal(resolveDate('', NOW), null);
+    });
+
+    it('resolves relative dates from today', () => {
+        assert.equal(resolveDate('today', NOW), '2025-09-03');
+        assert.equal(resolveDate('Tomorrow', NOW), '2025-09-04');
+        assert.equal(resolveDate('+30d', NOW), '2025-10-03');
+        assert.equal(resolveDate('-1w', NOW), '2025-08-27');
+        assert.equal(resolveDate('+1y', NOW), '2026-09-03');
+        assert.equal(resolveDate('+1m', new Date('2025-01-31T00:00:00Z')), '2025-02-28');
+    });
+
+    it('uses the calendar of the given timezone for today', () => {
+        // 15:30 UTC is already Thursday in Sydney and still Wednesday in Los Angeles
+        assert.equal(resolveDate('today', NOW, 'Australia/Sydney'), '2025-09-04');
+        assert.equal(resolveDate('today', NOW, 'America/Los_Angeles'), '2025-09-03');
+        assert.equal(resolveDate('tomorrow', new Date('2025-09-03T03:00:00Z'), 'America/Los_Angeles'), '2025-09-03');
+    });
+
+    it('rejects anything else', () => {
+        assert.throws(() => resolveDate('next friday', NOW), /Unrecognized date "next friday"/);
+        assert.throws(() => resolveDate('2025-13-45', NOW), /Unrecognized date/);
+        assert.throws(() => resolveDate('next friday', NOW), InvalidQueryError);
+    });
+});
+
+describe('resolveWindow', () => {
+    it('resolves weekends from Friday to Sunday', () => {
+        assert.deepEqual(resolveWindow('this-weekend', NOW), { from: '2025-09-05', to: '2025-09-07' });
+        assert.deepEqual(resolveWindow('this-weekend', new Date('2025-09-06T23:00:00Z')), { from: '2025-09-06', to: '2025-09-07' });
+        assert.deepEqual(resolveWindow('next-weekend', NOW), { from: '2025-09-12', to: '2025-09-14' });
+        assert.deepEqual(resolveWindow('next-weekend', new Date('2025-09-07T12:00:00Z')), { from: '2025-09-12', to: '2025-09-14' });
+    });
+
+    it('resolves weeks and months', () => {
+        assert.deepEqual(resolveWindow('this-week', NOW), { from: '2025-09-03', to: '2025-09-07' });
+        assert.deepEqual(resolveWindow('next-week', NOW), { from: '2025-09-08', to: '2025-09-14' });
+        assert.deepEqual(resolveWindow('this-month', NOW), { from: '2025-09-03', to: '2025-09-30' });
+        assert.deepEqual(resolveWindow('next-month', NOW), { from: '2025-10-01', to: '2025-10-31' });
+    });
+
+    it('resolves offsets and ranges', () => {
+        assert.deepEqual(resolveWindow('+30d', NOW), { from: '2025-09-03', to: '2025-10-03' });
+        assert.deepEqual(resolveWindow('-7d', NOW), { from: '2025-08-27', to: '2025-09-03' });
+        assert.deepEqual(resolveWindow('tomorrow..+2w', NOW), { from: '2025-09-04', to: '2025-09-17' });
+        assert.throws(() => resolveWindow('weekend', NOW), /Unrecognized date window "weekend"/);
+    });
+
+    it('resolves spans counting today', () => {
+        assert.deepEqual(resolveWindow('next 14 days', NOW), { from: '2025-09-03', to: '2025-09-16' });
+        assert.deepEqual(resolveWindow('next-2-weeks', NOW), { from: '2025-09-03', to: '2025-09-16' });
+        assert.deepEqual(resolveWindow('next 1 month', NOW), { from: '2025-09-03', to: '2025-10-02' });
+        assert.deepEqual(resolveWindow('last 7 days', NOW), { from: '2025-08-28', to: '2025-09-03' });
+        assert.throws(() => resolveWindow('next 0 days', NOW), /Unrecognized date window/);
+    });
+
+    it('resolves windows in the given timezone', () => {
+        // Late Thursday night in Sydney is still Thursday morning in London
+        const now = new Date('2025-09-04T13:30:00Z');
+        assert.deepEqual(resolveWindow('this-weekend', now, 'Australia/Sydney'), { from: '2025-09-05', to: '2025-09-07' });
+        assert.deepEqual(resolveWindow('today', new Date('2025-09-05T14:30:00Z'), 'Australia/Sydney'), { from: '2025-09-06', to: '2025-09-06' });
+        assert.deepEqual(resolveWindow('today..+1d', new Date('2025-09-05T14:30:00Z'), 'Australia/Sydney'), { from: '2025-09-06', to: '2025-09-07' });
+    });
+});
+
+describe('isRelativeDate', () => {
+    it('tells relative dates from absolute ones', () => {
+        assert.equal(isRelativeDate('2025-09-01'), false);
+        assert.equal(isRelativeDate('2025-09-01..2025-09-07'), false);
+        assert.equal(isRelativeDate(new Date()), false);
+        assert.equal(isRelativeDate('today'), true);
+        assert.equal(isRelativeDate('2025-09-01..+2w'), true);
+        assert.equal(isRelativeDate('next 14 days'), true);
+    });
+});
+
+describe('toZonedTimestamp', () => {
+    it('adds the UTC offset of the timezone', () => {
+        assert.equal(toZonedTimestamp('2025-09-05T23:00:00.000', 'Europe/London'), '2025-09-05T23:00:00.000+01:00');
+        assert.equal(toZonedTimestamp('2025-01-05T23:00:00.000', 'Europe/London'), '2025-01-05T23:00:00.000+00:00');
+        assert.equal(toZonedTimestamp('2025-09-05T23:00', 'America/Los_Angeles'), '2025-09-05T23:00:00.000-07:00');
+        assert.equal(toZonedTimestamp('2025-09-05T23:00:00.000', 'Asia/Kolkata'), '2025-09-05T23:00:00.000+05:30');
+    });
+
+    it('moves times skipped by daylight saving forward', () => {
+        assert.equal(toZonedTimestamp('2025-03-30T01:30:00.000', 'Europe/London'), '2025-03-30T02:30:00.000+01:00');
+    });
+
+    it('gives null without a time or timezone', () => {
+        assert.equal(toZonedTimestamp(null, 'Europe/London'), null);
+        assert.equal(toZonedTimestamp('2025-09-05T23:00:00.000', null), null);
+        assert.equal(toZonedTimestamp('soon', 'Europe/London'), null);
+    });
+});
@@ -0,0 +1,247 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const EventFetcher = require('../eventFetcher');
+const { SchemaChangedError, HttpError, AbortError } = require('../errors');
+const { GraphQLClient } = require('../graphqlClient');
+const { replayGraphQLClient, scriptedTransport, SILENT_LOGGER } = require('./helpers');
+
+const GTE = '2025-09-01T00:00:00.000Z';
+const LTE = '2025-09-07T23:59:59.999Z';
+
+/**
+ * Create a fetcher that answers from the fixtures.
+ * @param {Object} options - EventFetcher options.
+ * @returns {EventFetcher} The fetcher.
+ */
+function replayFetcher(options) {
+    return new EventFetcher({ listingDateGte: GTE, listingDateLte: LTE, client: replayGraphQLClient(), logger: SILENT_LOGGER, ...options });
+}
+
+/**
+ * Find the filters of a listing payload by type.
+ * @param {Object} payload - The listing payload.
+ * @param {string} type - The filter type.
+ * @returns {Array<string>} The values of the matching filters and base filters.
+ */
+function listingFilterValues(payload, type) {
+    return [...payload.variables.filters, ...payload.variables.baseFilters]
+        .filter(filter => filter.type === type)
+        .map(filter => filter.value);
+}
+
+describe('EventFetcher.generatePayload', () => {
+    it('fills in the area query template', () => {
+        const { payload } = new EventFetcher(13, 0, GTE, LTE);
+
+        assert.equal(payload.operationName, 'GET_EVENT_LISTINGS');
+        assert.deepEqual(payload.variables.filters.areas, { eq: 13 });
+        assert.deepEqual(payload.variables.filters.listingDate, { gte: GTE, lte: LTE });
+        assert.equal(payload.variables.filters.genre, undefined);
+    });
+
+    it('drops the area and end date filters when they are not given', () => {
+        const { payload } = new EventFetcher(0, 0, GTE, null);
+
+        assert.equal(payload.variables.filters.areas, undefined);
+        assert.deepEqual(payload.variables.filters.listingDate, { gte: GTE });
+    });
+
+    it('adds a genre filter to area queries', () => {
+        const { payload } = new EventFetcher(13, 0, GTE, LTE, { genres: ['techno', 'house'] });
+
+        assert.deepEqual(payload.variables.filters.genre, { any: ['techno', 'house'] });
+    });
+
+    it('rejects genre filters on listing queries', () => {
+        assert.throws(() => new EventFetcher(0, 44361, GTE, LTE, { genres: ['techno'] }), /only work with area queries/);
+    });
+
+    it('fills in the artist listing template', () => {
+        const { payload } = new EventFetcher(0, 44361, GTE, LTE);
+
+        assert.equal(payload.operationName, 'GET_DEFAULT_EVENTS_LISTING');
+        assert.deepEqual(listingFilterValues(payload, 'ARTIST'), ['44361', '44361']);
+        assert.deepEqual(listingFilterValues(payload, 'DATERANGE'), [
+            `{"gte":"${GTE}","lte":"${LTE}"}`,
+            `{"gte":"${GTE}","lte":"${LTE}"}`
+        ]);
+        assert.deepEqual(listingFilterValues(payload, 'AREA'), []);
+    });
+
+    it('leaves no placeholders in any template', () => {
+        const payloads = [
+            new EventFetcher(13, 0, GTE, LTE).payload,
+            new EventFetcher(13, 44361, GTE, null).payload,
+            new EventFetcher(0, 0, GTE, LTE, { venue: 168 }).payload,
+            new EventFetcher(0, 0, GTE, LTE, { promoter: 8612 }).payload
+        ];
+
+        for (const payload of payloads) {
+            assert.doesNotMatch(JSON.stringify(payload.variables), /__[A-Z_]+__/);
+        }
+    });
+
+    it('narrows listing queries to an area server-side', () => {
+        const { payload } = new EventFetcher(13, 44361, GTE, LTE);
+
+        assert.deepEqual(listingFilterValues(payload, 'AREA'), ['13', '13']);
+    });
+
+    it('uses the CLUB and PROMOTER filters for venue and promoter listings', () => {
+        const venue = new EventFetcher(0, 0, GTE, LTE, { venue: 168 }).payload;
+        const promoter = new EventFetcher(0, 0, GTE, LTE, { promoter: 8612 }).payload;
+
+        assert.deepEqual(listingFilterValues(venue, 'CLUB'), ['168', '168']);
+        assert.deepEqual(listingFilterValues(promoter, 'PROMOTER'), ['8612', '8612']);
+        assert.throws(() => new EventFetcher(0, 0, GTE, LTE, { venue: 168, promoter: 8612 }), /either a venue or a promoter/);
+    });
+
+    it('sorts past listings newest first and leaves out missing date bounds', () => {
+        const { payload } = new EventFetcher({ artist: 44361, listingDateLte: LTE, past: true });
+
+        assert.equal(payload.variables.sortOrder, 'DESCENDING');
+        assert.deepEqual(listingFilterValues(payload, 'DATERANGE'), [`{"lte":"${LTE}"}`, `{"lte":"${LTE}"}`]);
+        assert.throws(() => new EventFetcher({ area: 13, listingDateLte: LTE, past: true }), /Past events can only be listed for an artist/);
+    });
+
+    it('takes an options object', () => {
+        const fetcher = new EventFetcher({ area: 13, listingDateGte: GTE, genres: ['techno'], logger: SILENT_LOGGER });
+
+        assert.deepEqual(fetcher.payload.variables.filters.areas, { eq: 13 });
+        assert.deepEqual(fetcher.payload.variables.filters.genre, { any: ['techno'] });
+        assert.equal(fetcher.logger, SILENT_LOGGER);
+    });
+});
+
+describe('EventFetcher.getEventsPage', () => {
+    it('reads the area listing response shape', async () => {
+        const page = await replayFetcher({ area: 13 }).getEventsPage(1);
+
+        assert.equal(page.events.length, 20);
+        assert.equal(page.totalResults, 23);
+        assert.ok(page.events[0].event, 'area listings wrap each event');
+        assert.equal(page.filterOptions.genre[0].value, 'techno');
+    });
+
+    it('reads the listing response shape', async () => {
+        const page = await replayFetcher({ artist: 44361 }).getEventsPage(1);
+
+        assert.equal(page.events.length, 3);
+        assert.equal(page.totalResults, 3);
+        assert.equal(page.events[0].event, undefined);
+        assert.equal(page.events[0].id, '2210000');
+    });
+
+    it('throws SchemaChangedError when the listing is missing', async () => {
+        const client = new GraphQLClient({ transport: scriptedTransport([{ status: 200, data: { data: { eventListings: null } } }]) });
+        const fetcher = new EventFetcher({ area: 13, listingDateGte: GTE, client, logger: SILENT_LOGGER });
+
+        await assert.rejects(fetcher.getEventsPage(1), SchemaChangedError);
+    });
+});
+
+describe('EventFetcher.pages', () => {
+    it('stops after the last page without requesting an empty one', async () => {
+        const fetcher = replayFetcher({ area: 13 });
+        const pageSizes = [];
+        for await (const events of fetcher.pages()) {
+            pageSizes.push(events.length);
+        }
+
+        assert.deepEqual(pageSizes, [20, 3]);
+        assert.equal(fetcher.truncated, false);
+    });
+
+    it('reports truncation when the page limit cuts off results', async () => {
+        const warnings = [];
+        const fetcher = replayFetcher({ area: 13, logger: { log() {}, warn: message => warnings.push(message) } });
+        const events = await fetcher.fetchEventsWithPageLimit(1);
+
+        assert.equal(events.length, 20);
+        assert.equal(fetcher.truncated, true);
+        assert.match(warnings[0], /fetched 20 of 23/);
+    });
+
+    it('stops at the event limit', async () => {
+        const fetcher = replayFetcher({ area: 13 });
+        const events = await fetcher.fetchEventsWithPageLimit(Infinity, 5);
+
+        assert.equal(events.length, 5);
+        assert.equal(fetcher.truncated, true);
+    });
+});
+
+describe('EventFetcher.fetchEventDetails', () => {
+    it('attaches the event detail', async () => {
+        const fetcher = replayFetcher({ artist: 1013 });
+        const events = await fetcher.fetchEventsWithPageLimit(1);
+        await fetcher.fetchEventDetails(events.slice(0, 1));
+
+        assert.equal(events[0].details.lineup, 'Rival Consoles b2b Seth Troxler');
+        assert.equal(events[0].details.tickets.length, 2);
+    });
+
+    it('skips an event whose detail fails and carries on with the rest', async () => {
+        const warnings = [];
+        const fetcher = replayFetcher({ area: 13, logger: { log() {}, warn: message => warnings.push(message) } });
+        fetcher.getEventDetail = async (eventId) => {
+            if (eventId === 'broken') {
+                throw new HttpError('Request failed with status 500', { status: 500 });
+            }
+            return { id: eventId, lineup: 'Lineup' };
+        };
+        const events = [{ event: { id: 'broken' } }, { event: { id: '2' } }];
+        await fetcher.fetchEventDetails(events);
+
+        assert.equal(events[0].event.details, undefined);
+        assert.equal(events[1].event.details.lineup, 'Lineup');
+        assert.match(warnings[0], /event ID broken: Request failed with status 500/);
+    });
+
+    it('stops when cancelled', async () => {
+        const fetcher = replayFetcher({ area: 13 });
+        fetcher.getEventDetail = async () => {
+            throw new AbortError('Request aborted');
+        };
+
+        await assert.rejects(fetcher.fetchEventDetails([{ event: { id: '1' } }]), AbortError);
+    });
+});
+
+describe('EventFetcher.buildOutput', () => {
+    it('filters artist events to the area when both filters are set', async () => {
+        const fetcher = replayFetcher({ area: 13, artist: 44361 });
+        const events = await fetcher.fetchEventsWithPageLimit(1);
+        const output = fetcher.buildOutput(events, 13, '44361');
+
+        assert.equal(events.length, 3);
+        assert.deepEqual(output.events.map(event => event.id), ['2210000', '2210001']);
+        assert.equal(output.metadata.totalEvents, 2);
+        assert.equal(output.metadata.queryInfo.artist, '44361');
+    });
+
+    it('keeps every event without an artist filter', async () => {
+        const fetcher = replayFetcher({ area: 13 });
+        const events = await fetcher.fetchEventsWithPageLimit(1);
+        const output = fetcher.buildOutput(events, 13, null);
+
+        assert.equal(output.events.length, 20);
+        assert.equal(output.metadata.queryInfo.area, 13);
+        assert.equal(output.metadata.queryInfo.dateRange.gte, GTE);
+    });
+});
+
+describe('EventFetcher.mergeArtistEvents', () => {
+    it('dedupes events and records the matched artists', () => {
+        const merged = EventFetcher.mergeArtistEvents([
+            { artistId: '44361', events: [{ id: '1' }, { id: '2' }] },
+            { artistId: 1013, events: [{ id: '2' }, { id: '3' }] }
+        ]);
+
+        assert.deepEqual(merged.map(event => [event.id, event.matchedArtists]), [
+            ['1', ['44361']],
+            ['2', ['44361', '1013']],
+            ['3', ['1013']]
+        ]);
+    });
+});
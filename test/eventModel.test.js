@@ -0,0 +1,92 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeEvent, validateEvent } = require('../eventModel');
+const { fixtures } = require('./helpers');
+
+/**
+ * Get the raw events of every fixture response of an operation.
+ * @param {string} operationName - The GraphQL operation name.
+ * @returns {Array} The raw events, as returned in the response.
+ */
+function fixtureEvents(operationName) {
+    return Array.from(fixtures.values())
+        .filter(fixture => fixture.request.operationName === operationName)
+        .flatMap(fixture => {
+            const data = fixture.response.data.data;
+            return (data.eventListings || data.listing).data;
+        });
+}
+
+describe('normalizeEvent', () => {
+    it('maps area listings onto the Event model', () => {
+        const listing = fixtureEvents('GET_EVENT_LISTINGS')[0];
+        const event = normalizeEvent(listing);
+
+        assert.equal(event.id, listing.event.id);
+        assert.equal(event.listingDate, listing.listingDate);
+        assert.equal(event.attending, listing.event.attending);
+        assert.deepEqual(event.artists, listing.event.artists.map(artist => artist.name));
+        assert.equal(event.venueDetails.area.country.urlCode, 'UK');
+        assert.equal(event.matchedArtists, undefined);
+    });
+
+    it('maps listing query events onto the Event model', () => {
+        const raw = fixtureEvents('GET_DEFAULT_EVENTS_LISTING')[0];
+        const event = normalizeEvent(raw);
+
+        assert.equal(event.attending, raw.interestedCount);
+        assert.equal(event.listingDate, raw.date);
+        assert.equal(event.isTicketed, true);
+    });
+
+    it('adds timestamps with the UTC offset of the venue', () => {
+        const listing = fixtureEvents('GET_EVENT_LISTINGS')[0];
+        const event = normalizeEvent(listing);
+
+        assert.equal(event.timeZone, 'Europe/London');
+        assert.equal(event.startsAt, `${listing.event.startTime}+01:00`);
+        assert.equal(Date.parse(event.startsAt), Date.parse(`${listing.event.startTime}Z`) - 3600000);
+    });
+
+    it('leaves the timestamps out when the venue has no known country', () => {
+        const raw = { id: 1, title: 'Warehouse party', startTime: '2025-09-05T23:00:00.000', endTime: '2025-09-06T06:00:00.000', venue: { id: 2, name: 'TBA' } };
+        const event = normalizeEvent(raw);
+
+        assert.equal(event.startsAt, null);
+        assert.equal(event.endsAt, null);
+        assert.equal(event.timeZone, null);
+        assert.equal(event.startTime, '2025-09-05T23:00:00.000');
+    });
+
+    it('leaves the timestamps out when the venue is in an unlisted area of a country with several timezones', () => {
+        const raw = { id: 1, title: 'Basement party', startTime: '2025-09-05T23:00:00.000', venue: { id: 2, name: 'Club', area: { id: '500', urlName: 'nashville', country: { urlCode: 'US' } } } };
+        const event = normalizeEvent(raw);
+
+        assert.equal(event.startsAt, null);
+        assert.equal(event.timeZone, null);
+    });
+
+    it('produces records that match the schema for every fixture event', () => {
+        const events = [...fixtureEvents('GET_EVENT_LISTINGS'), ...fixtureEvents('GET_DEFAULT_EVENTS_LISTING')];
+
+        assert.ok(events.length > 0);
+        for (const raw of events) {
+            assert.deepEqual(validateEvent(normalizeEvent(raw)).errors, []);
+        }
+    });
+});
+
+describe('validateEvent', () => {
+    it('reports missing and mistyped fields', () => {
+        const event = normalizeEvent(fixtureEvents('GET_EVENT_LISTINGS')[0]);
+        delete event.title;
+        event.attending = -1;
+        event.venueDetails.id = 168;
+
+        assert.deepEqual(validateEvent(event).errors, [
+            '/title is required',
+            '/attending should be >= 0',
+            '/venueDetails/id should be string, got integer'
+        ]);
+    });
+});
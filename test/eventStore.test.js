@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const EventStore = require('../eventStore');
+const { tempDir } = require('./helpers');
+
+const QUERY_KEY = EventStore.queryKey({ area: 13, artists: [] });
+
+/**
+ * Build a minimal event record.
+ * @param {string} id - The event ID.
+ * @param {Object} fields - Fields to override.
+ * @returns {Object} The record.
+ */
+function record(id, fields = {}) {
+    return { id, title: `Event ${id}`, date: '2025-09-05T00:00:00.000', venue: 'Fabric', artists: [], attending: 10, ...fields };
+}
+
+describe('EventStore', () => {
+    it('builds query keys that ignore list order', () => {
+        assert.equal(
+            EventStore.queryKey({ artists: ['44361', '1013'] }),
+            EventStore.queryKey({ artists: [1013, 44361] })
+        );
+        assert.notEqual(EventStore.queryKey({ area: 13, genres: ['techno'] }), QUERY_KEY);
+    });
+
+    it('reports added, changed and removed events between syncs', () => {
+        const store = new EventStore(path.join(tempDir(), 'store.jsonl'));
+
+        const first = store.sync([record('1'), record('2')], { queryKey: QUERY_KEY, from: '2025-09-01' });
+        assert.deepEqual(first.added.map(entry => entry.id), ['1', '2']);
+
+        const second = store.sync([record('1', { attending: 25 }), record('3')], { queryKey: QUERY_KEY, from: '2025-09-01' });
+        assert.deepEqual(second.added.map(entry => entry.id), ['3']);
+        assert.deepEqual(second.removed.map(entry => entry.id), ['2']);
+        assert.deepEqual(second.changed, [{ record: record('1', { attending: 25 }), changes: [{ field: 'attending', from: 10, to: 25 }] }]);
+    });
+
+    it('only reports removals within the query and date range', () => {
+        const store = new EventStore(path.join(tempDir(), 'store.jsonl'));
+        store.sync([record('1'), record('2', { date: '2025-08-01T00:00:00.000' })], { queryKey: QUERY_KEY });
+
+        const other = store.sync([], { queryKey: EventStore.queryKey({ area: 34 }) });
+        assert.deepEqual(other.removed, []);
+
+        const later = store.sync([], { queryKey: QUERY_KEY, from: '2025-09-01' });
+        assert.deepEqual(later.removed.map(entry => entry.id), ['1']);
+
+        const truncated = store.sync([], { queryKey: QUERY_KEY, detectRemovals: false });
+        assert.deepEqual(truncated.removed, []);
+    });
+
+    it('saves and loads entries', () => {
+        const file = path.join(tempDir(), 'nested', 'store.jsonl');
+        const store = new EventStore(file);
+        store.sync([record('1')], { queryKey: QUERY_KEY });
+        store.save();
+
+        const reloaded = new EventStore(file);
+        assert.ok(reloaded.has('1'));
+        assert.ok(reloaded.hasQuery(QUERY_KEY));
+        assert.equal(reloaded.entries.get('1').record.title, 'Event 1');
+    });
+});
@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { formatTable, parseFields, sortEvents } = require('../eventTable');
+
+const EVENTS = [
+    {
+        id: '1',
+        title: 'Saturday all night',
+        date: '2025-09-06T00:00:00.000',
+        startTime: '2025-09-06T23:00:00.000',
+        endTime: '2025-09-07T07:00:00.000',
+        artists: ['Ben UFO', 'Objekt'],
+        venue: 'Fabric',
+        attending: 12,
+        isTicketed: true,
+        pick: { id: '9', blurb: 'A marathon set from Ben UFO.' }
+    },
+    {
+        id: '2',
+        title: 'Friday',
+        date: '2025-09-05T00:00:00.000',
+        startTime: '2025-09-05T22:00:00.000',
+        endTime: null,
+        artists: [],
+        venue: 'Village Underground',
+        attending: 140,
+        isTicketed: false,
+        pick: null
+    }
+];
+
+describe('formatTable', () => {
+    it('aligns columns and joins artists', () => {
+        const lines = formatTable(EVENTS).split('\n');
+
+        assert.equal(lines.length, 3);
+        assert.equal(lines[0], 'Date        Time         Title                 Artists          Venue                Attending  Tickets');
+        assert.equal(lines[1], '2025-09-06  23:00-07:00  ★ Saturday all night  Ben UFO, Objekt  Fabric                      12  yes');
+        assert.equal(lines[2], '2025-09-05  22:00        Friday                                 Village Underground        140  no');
+    });
+
+    it('shows the chosen fields and cuts long cells', () => {
+        const lines = formatTable([{ ...EVENTS[1], title: 'x'.repeat(60), contentUrl: '/events/2' }], { fields: ['title', 'url'] }).split('\n');
+
+        assert.equal(lines[1], `${'x'.repeat(39)}…  https://ra.co/events/2`);
+    });
+
+    it('highlights picks and ticketed events in colour', () => {
+        const text = formatTable(EVENTS, { color: true });
+        const lines = text.split('\n');
+
+        assert.ok(lines[1].includes('\x1b[1m\x1b[33m★ Saturday all night\x1b[0m'));
+        assert.ok(lines[1].endsWith('\x1b[32myes\x1b[0m'));
+        assert.ok(lines[2].includes('A marathon set from Ben UFO.'));
+        assert.ok(!formatTable(EVENTS).includes('\x1b['));
+    });
+
+    it('rejects unknown fields', () => {
+        assert.throws(() => parseFields(['title', 'price']), /Unknown field "price"/);
+        assert.deepEqual(parseFields([]), parseFields());
+    });
+});
+
+describe('sortEvents', () => {
+    it('sorts by date, attending or venue', () => {
+        assert.deepEqual(sortEvents(EVENTS).map(event => event.id), ['2', '1']);
+        assert.deepEqual(sortEvents(EVENTS, 'attending').map(event => event.id), ['2', '1']);
+        assert.deepEqual(sortEvents(EVENTS, 'attending', true).map(event => event.id), ['1', '2']);
+        assert.deepEqual(sortEvents(EVENTS, 'venue').map(event => event.id), ['1', '2']);
+        assert.deepEqual(EVENTS.map(event => event.id), ['1', '2']);
+        assert.throws(() => sortEvents(EVENTS, 'price'), /Unknown sort order "price"/);
+    });
+});
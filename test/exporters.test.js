@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getExporter, inferFormat, listFormats } = require('../exporters');
+
+const OUTPUT = {
+    metadata: { totalEvents: 2, generatedAt: '2025-08-30T12:00:00.000Z' },
+    events: [
+        {
+            id: '1',
+            title: 'Night, "one"',
+            date: '2025-09-05T00:00:00.000',
+            startTime: '2025-09-05T22:00:00.000',
+            endTime: '2025-09-06T06:00:00.000',
+            artists: ['Rival Consoles', 'Seth Troxler'],
+            artistDetails: [{ id: '44361', name: 'Rival Consoles' }, { id: '1013', name: 'Seth Troxler' }],
+            venue: 'Fabric',
+            venueDetails: { id: '168', name: 'Fabric', area: { id: '13', name: 'London', country: { name: 'United Kingdom' } } },
+            contentUrl: '/events/1',
+            attending: 12,
+            isTicketed: true
+        },
+        { id: '2', title: 'Day; two', date: '2025-09-06T00:00:00.000', startTime: null, endTime: null, artists: [], venue: null }
+    ]
+};
+
+describe('exporters', () => {
+    it('infers the format from the file extension', () => {
+        assert.equal(inferFormat('out.csv'), 'csv');
+        assert.equal(inferFormat('out.JSONL'), 'ndjson');
+        assert.equal(inferFormat('out.ics'), 'ics');
+        assert.equal(inferFormat('out.txt'), 'json');
+        assert.deepEqual(listFormats(), ['json', 'ndjson', 'csv', 'ics']);
+        assert.throws(() => getExporter('xml'), /Unknown output format "xml"/);
+    });
+
+    it('writes only metadata and events to JSON', () => {
+        const text = getExporter('json').serialize({ ...OUTPUT, query: { area: 13 } });
+
+        assert.deepEqual(JSON.parse(text), OUTPUT);
+    });
+
+    it('writes one event per NDJSON line', () => {
+        const lines = getExporter('ndjson').serialize(OUTPUT).trim().split('\n');
+
+        assert.deepEqual(lines.map(line => JSON.parse(line).id), ['1', '2']);
+    });
+
+    it('flattens events into quoted CSV rows', () => {
+        const [header, first, second] = getExporter('csv').serialize(OUTPUT).trim().split(/\r?\n/);
+
+        assert.ok(header.startsWith('id,title,date,startTime,endTime,artists,artistIds,venue,venueId,area,country,url'));
+        assert.ok(first.startsWith('1,"Night, ""one""",2025-09-05T00:00:00.000,'));
+        assert.ok(first.includes('Rival Consoles; Seth Troxler,44361; 1013,Fabric,168,London,United Kingdom,https://ra.co/events/1'));
+        assert.ok(second.startsWith('2,Day; two,'));
+    });
+
+    it('writes an iCalendar event per event', () => {
+        const text = getExporter('ics').serialize(OUTPUT);
+
+        assert.ok(text.startsWith('BEGIN:VCALENDAR\r\n'));
+        assert.equal(text.match(/BEGIN:VEVENT/g).length, 2);
+        assert.ok(text.includes('DTSTAMP:20250830T120000Z\r\n'));
+        assert.ok(text.includes('DTSTART:20250905T220000\r\n'));
+        assert.ok(text.includes('DTEND:20250906T060000\r\n'));
+        assert.ok(text.includes('SUMMARY:Day\\; two\r\n'));
+        assert.ok(text.includes('DTSTART;VALUE=DATE:20250906\r\n'));
+        assert.ok(text.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+    });
+
+    it('writes UTC times for events whose venue timezone is known', () => {
+        const event = { ...OUTPUT.events[0], startsAt: '2025-09-05T22:00:00.000+01:00', endsAt: '2025-09-06T06:00:00.000+01:00' };
+        const text = getExporter('ics').serialize({ ...OUTPUT, events: [event] });
+
+        assert.ok(text.includes('DTSTART:20250905T210000Z\r\n'));
+        assert.ok(text.includes('DTEND:20250906T050000Z\r\n'));
+    });
+});
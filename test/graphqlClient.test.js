@@ -0,0 +1,155 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { GraphQLClient, createFetchTransport, parseRetryAfter } = require('../graphqlClient');
+const {
+    HttpError,
+    BadRequestError,
+    RateLimitedError,
+    TimeoutError,
+    NetworkError,
+    AbortError,
+    GraphQLError,
+    SchemaChangedError
+} = require('../errors');
+const { TokenBucket } = require('../rateLimiter');
+const { scriptedTransport } = require('./helpers');
+
+const PAYLOAD = { operationName: 'GET_EVENT_LISTINGS', variables: {}, query: '{}' };
+const OK = { status: 200, data: { data: { eventListings: { data: [] } } } };
+
+/**
+ * Create a client that answers with the given responses and doesn't wait between retries.
+ * @param {Array<Object|Error>} responses - The transport responses, see scriptedTransport().
+ * @param {Object} options - Extra client options.
+ * @returns {GraphQLClient} The client, with its transport as `transport`.
+ */
+function scriptedClient(responses, options = {}) {
+    return new GraphQLClient({ transport: scriptedTransport(responses), backoff: 0, rate: 1000, burst: 1000, ...options });
+}
+
+describe('GraphQLClient.query', () => {
+    it('returns the data of a successful response', async () => {
+        const client = scriptedClient([OK]);
+
+        assert.deepEqual(await client.query(PAYLOAD), OK.data.data);
+        assert.equal(client.transport.requests[0].payload, PAYLOAD);
+    });
+
+    it('retries 429 and 5xx responses', async () => {
+        const client = scriptedClient([{ status: 429 }, { status: 503 }, OK]);
+
+        assert.deepEqual(await client.query(PAYLOAD), OK.data.data);
+        assert.equal(client.transport.requests.length, 3);
+    });
+
+    it('gives up after the configured retries', async () => {
+        const client = scriptedClient([{ status: 429, headers: { 'retry-after': '0' } }], { retries: 2 });
+
+        const error = await client.query(PAYLOAD).catch(error => error);
+        assert.ok(error instanceof RateLimitedError);
+        assert.equal(error.attempts, 3);
+        assert.equal(error.retryAfter, 0);
+    });
+
+    it('retries timeouts and network errors', async () => {
+        const timeout = Object.assign(new Error('timeout'), { code: 'ECONNABORTED' });
+        const reset = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+
+        assert.deepEqual(await scriptedClient([timeout, reset, OK]).query(PAYLOAD), OK.data.data);
+        await assert.rejects(scriptedClient([timeout], { retries: 0 }).query(PAYLOAD), TimeoutError);
+        await assert.rejects(scriptedClient([reset], { retries: 0 }).query(PAYLOAD), NetworkError);
+    });
+
+    it('does not retry bad requests', async () => {
+        const client = scriptedClient([{ status: 400, data: { errors: [{ message: 'Variable "$page" got invalid value' }] } }]);
+
+        const error = await client.query(PAYLOAD).catch(error => error);
+        assert.ok(error instanceof BadRequestError);
+        assert.match(error.message, /invalid value/);
+        assert.equal(client.transport.requests.length, 1);
+    });
+
+    it('reports schema drift as SchemaChangedError', async () => {
+        const client = scriptedClient([{ status: 400, data: { errors: [{ message: 'Cannot query field "attending" on type "Event".' }] } }]);
+
+        await assert.rejects(client.query(PAYLOAD), SchemaChangedError);
+    });
+
+    it('reports GraphQL errors without data', async () => {
+        await assert.rejects(scriptedClient([{ status: 200, data: { errors: [{ message: 'Internal' }] } }]).query(PAYLOAD), GraphQLError);
+        await assert.rejects(scriptedClient([{ status: 404, data: {} }]).query(PAYLOAD), HttpError);
+    });
+
+    it('stops when the signal is aborted', async () => {
+        const controller = new AbortController();
+        controller.abort();
+
+        await assert.rejects(scriptedClient([OK]).query(PAYLOAD, { signal: controller.signal }), AbortError);
+    });
+
+    it('stops waiting for a retry when the signal is aborted', async () => {
+        const controller = new AbortController();
+        const client = scriptedClient([{ status: 503 }, OK], { backoff: 60000 });
+        setTimeout(() => controller.abort(), 10);
+
+        await assert.rejects(client.query(PAYLOAD, { signal: controller.signal }), AbortError);
+        assert.equal(client.transport.requests.length, 1);
+    });
+});
+
+describe('GraphQLClient options', () => {
+    it('gives up straight away when the server asks for a longer pause than maxBackoff', async () => {
+        const client = scriptedClient([{ status: 429, headers: { 'retry-after': '3600' } }, OK], { maxBackoff: 5000 });
+
+        const error = await client.query(PAYLOAD).catch(error => error);
+        assert.ok(error instanceof RateLimitedError);
+        assert.equal(error.retryAfter, 3600000);
+        assert.equal(error.attempts, 1);
+        assert.equal(client.transport.requests.length, 1);
+        assert.equal(client.getRetryDelay(new RateLimitedError('Rate limited', { retryAfter: 2000 }), 0), 2000);
+    });
+
+    it('rejects numeric options that are not numbers or out of range', () => {
+        assert.throws(() => new GraphQLClient({ retries: NaN }), /Invalid retries NaN/);
+        assert.throws(() => new GraphQLClient({ retries: 1.5 }), /Invalid retries/);
+        assert.throws(() => new GraphQLClient({ timeout: 0 }), /Invalid timeout 0: expected a positive number/);
+        assert.throws(() => new GraphQLClient({ backoff: -1 }), /Invalid backoff/);
+        assert.throws(() => new GraphQLClient({ rate: NaN }), /Invalid rate NaN/);
+        assert.throws(() => new GraphQLClient({ rate: 0 }), /Invalid rate 0/);
+        assert.doesNotThrow(() => new GraphQLClient({ retries: 0, backoff: 0 }));
+    });
+
+    it('rejects a rate limiter that could never hand out a token', () => {
+        assert.throws(() => new TokenBucket({ rate: 0 }), /Invalid rate/);
+        assert.throws(() => new TokenBucket({ burst: 0.5 }), /Invalid burst/);
+    });
+});
+
+describe('createFetchTransport', () => {
+    it('sends the payload and reads the response', async () => {
+        const calls = [];
+        const fetchStub = async (url, init) => {
+            calls.push({ url, init });
+            return new Response(JSON.stringify(OK.data), { status: 200, headers: { 'Retry-After': '1' } });
+        };
+        const transport = createFetchTransport(fetchStub);
+
+        const response = await transport({ url: 'http://mock/graphql', payload: PAYLOAD, headers: {}, timeout: 1000, signal: null });
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.data, OK.data);
+        assert.equal(response.headers['retry-after'], '1');
+        assert.equal(calls[0].init.method, 'POST');
+        assert.deepEqual(JSON.parse(calls[0].init.body), PAYLOAD);
+    });
+});
+
+describe('parseRetryAfter', () => {
+    it('parses seconds and dates', () => {
+        assert.equal(parseRetryAfter('5'), 5000);
+        assert.equal(parseRetryAfter(undefined), null);
+        assert.equal(parseRetryAfter('soon'), null);
+
+        const delay = parseRetryAfter(new Date(Date.now() + 10000).toUTCString());
+        assert.ok(delay > 8000 && delay <= 10000);
+    });
+});
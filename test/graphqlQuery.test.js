@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadTemplate } = require('../graphqlClient');
+const { parseDocument, expandSelection, findVariableUsages, findPlaceholders } = require('../graphqlQuery');
+
+describe('parseDocument', () => {
+    it('reads operations, variable definitions and fragments', () => {
+        const { operations, fragments } = parseDocument(loadTemplate('graphql_query_template.json').query);
+
+        assert.equal(operations.length, 1);
+        assert.equal(operations[0].name, 'GET_EVENT_LISTINGS');
+        assert.deepEqual(operations[0].variables.find(variable => variable.name === 'filters'),
+            { name: 'filters', type: 'FilterInputDtoInput', required: false });
+        assert.equal(fragments.eventListingsFields.on, 'Event');
+    });
+
+    it('rejects documents it cannot read', () => {
+        assert.throws(() => parseDocument('query Q { listing { id }'), /Unexpected end of query/);
+        assert.throws(() => parseDocument('listing { id }'), /Unexpected "listing"/);
+    });
+});
+
+describe('expandSelection', () => {
+    it('inlines fragments and keys fields by alias', () => {
+        const { operations, fragments } = parseDocument(`
+            query Q($id: ID!) {
+                listing(id: $id) { data { ...event } }
+                counts: listing(id: $id) { totalResults }
+            }
+            fragment event on Event { id venue { name } ... on Event { venue { area { id } } } }
+        `);
+
+        assert.deepEqual(expandSelection(operations[0].selection, fragments), {
+            listing: { data: { id: null, venue: { name: null, area: { id: null } } } },
+            counts: { totalResults: null }
+        });
+    });
+
+    it('fails on fragments that are not defined', () => {
+        const { operations, fragments } = parseDocument('query Q { listing { ...missing } }');
+
+        assert.throws(() => expandSelection(operations[0].selection, fragments), /Fragment "missing" is used but not defined/);
+    });
+});
+
+describe('findVariableUsages', () => {
+    it('lists the variables used, not the ones declared', () => {
+        const used = findVariableUsages('query Q($a: Int, $b: [String!] = ["x"]) { f(input: {a: $a c: 1}) { id } }');
+
+        assert.deepEqual(Array.from(used), ['a']);
+    });
+});
+
+describe('findPlaceholders', () => {
+    it('reports each placeholder with its path', () => {
+        const variables = { filters: [{ type: 'ARTIST', value: '__ARTIST_ID__' }], range: '{"gte":"__START_DATE__"}', page: 1 };
+
+        assert.deepEqual(findPlaceholders(variables), [
+            { path: 'variables.filters[0].value', placeholder: '__ARTIST_ID__' },
+            { path: 'variables.range', placeholder: '__START_DATE__' }
+        ]);
+    });
+});
@@ -0,0 +1,76 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { createClient } = require('../client');
+const { GraphQLClient } = require('../graphqlClient');
+const { createReplayTransport, loadFixtures } = require('../recorder');
+
+// Hand-written responses in the shape of RA.co's, see synthetic-fixtures/README.md
+const FIXTURE_DIR = path.join(__dirname, 'synthetic-fixtures');
+// The week the fixtures cover
+const WEEK = { from: '2025-09-01', to: '2025-09-07' };
+const SILENT_LOGGER = { log() {}, warn() {} };
+
+const fixtures = loadFixtures(FIXTURE_DIR);
+
+const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'raco-test-'));
+process.on('exit', () => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+/**
+ * Create a temporary directory, removed when the test process exits.
+ * @returns {string} The directory path.
+ */
+function tempDir() {
+    return fs.mkdtempSync(path.join(tempRoot, 'tmp-'));
+}
+
+/**
+ * Create a GraphQL client that answers from the fixtures.
+ * @param {Object} options - Extra GraphQLClient options.
+ * @returns {GraphQLClient} The client.
+ */
+function replayGraphQLClient(options = {}) {
+    return new GraphQLClient({ transport: createReplayTransport(fixtures), retries: 0, rate: 1000, burst: 1000, ...options });
+}
+
+/**
+ * Create a library client that answers from the fixtures, with a throwaway ID cache.
+ * @param {Object} options - Extra client options.
+ * @returns {RaClient} The client.
+ */
+function replayClient(options = {}) {
+    return createClient({
+        client: replayGraphQLClient(),
+        cacheFile: path.join(tempDir(), 'id-cache.json'),
+        ...options
+    });
+}
+
+/**
+ * Create a transport that answers every request with the given responses in turn, recording the requests.
+ * @param {Array<Object|Error>} responses - Transport responses ({status, headers, data}), or errors to reject with.
+ * @returns {Function} The transport, with a `requests` array.
+ */
+function scriptedTransport(responses) {
+    const transport = async (request) => {
+        transport.requests.push(request);
+        const response = responses[Math.min(transport.requests.length, responses.length) - 1];
+        if (response instanceof Error) {
+            throw response;
+        }
+        return { headers: {}, ...response };
+    };
+    transport.requests = [];
+    return transport;
+}
+
+module.exports = {
+    FIXTURE_DIR,
+    WEEK,
+    SILENT_LOGGER,
+    fixtures,
+    tempDir,
+    replayGraphQLClient,
+    replayClient,
+    scriptedTransport
+};
@@ -0,0 +1,102 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const IdResolver = require('../idResolver');
+const { parseReference } = IdResolver;
+const { InvalidQueryError } = require('../errors');
+const { replayGraphQLClient, tempDir } = require('./helpers');
+
+describe('parseReference', () => {
+    it('recognises IDs, URLs and slugs', () => {
+        assert.deepEqual(parseReference(13), { id: '13', segments: [], text: '13' });
+        assert.deepEqual(parseReference('https://ra.co/events/nl/utrecht?page=2').segments, ['events', 'nl', 'utrecht']);
+        assert.deepEqual(parseReference('ra.co/dj/rivalconsoles').segments, ['dj', 'rivalconsoles']);
+        assert.deepEqual(parseReference(' nl/utrecht ').segments, ['nl', 'utrecht']);
+    });
+});
+
+describe('IdResolver', () => {
+    it('resolves areas by URL, slug and name', async () => {
+        const resolver = new IdResolver(path.join(tempDir(), 'id-cache.json'), replayGraphQLClient());
+
+        assert.equal(await resolver.resolveArea('13'), '13');
+        assert.equal(await resolver.resolveArea('https://ra.co/events/nl/utrecht'), '1311');
+        assert.equal(await resolver.resolveArea('london'), '13');
+    });
+
+    it('resolves artists by slug and name', async () => {
+        const resolver = new IdResolver(path.join(tempDir(), 'id-cache.json'), replayGraphQLClient());
+
+        assert.equal(await resolver.resolveArtist('rivalconsoles'), '44361');
+        assert.equal(await resolver.resolveArtist('rival consoles'), '44361');
+    });
+
+    it('caches resolved IDs on disk', async () => {
+        const cacheFile = path.join(tempDir(), 'id-cache.json');
+        await new IdResolver(cacheFile, replayGraphQLClient()).resolveArea('nl/utrecht');
+
+        const offline = new IdResolver(cacheFile, { query: () => assert.fail('should use the cache') });
+        assert.equal(await offline.resolveArea('NL/Utrecht'), '1311');
+        assert.equal(JSON.parse(fs.readFileSync(cacheFile, 'utf8')).areas['nl/utrecht'].name, 'Utrecht');
+    });
+
+    it('looks up references named like object properties', async () => {
+        const cacheFile = path.join(tempDir(), 'id-cache.json');
+        const requests = [];
+        const client = {
+            query: async (payload) => {
+                requests.push(payload.variables.slug);
+                return { artist: { id: String(requests.length), name: payload.variables.slug } };
+            }
+        };
+        const resolver = new IdResolver(cacheFile, client);
+
+        assert.equal(await resolver.resolveArtist('constructor'), '1');
+        assert.equal(await resolver.resolveArtist('__proto__'), '2');
+        assert.deepEqual(requests, ['constructor', '__proto__']);
+
+        const offline = new IdResolver(cacheFile, { query: () => assert.fail('should use the cache') });
+        assert.equal(await offline.resolveArtist('__proto__'), '2');
+    });
+
+    it('fails when nothing matches', async () => {
+        const client = { query: async () => ({ area: null }) };
+        const resolver = new IdResolver(path.join(tempDir(), 'id-cache.json'), client);
+
+        await assert.rejects(resolver.resolveArea('xx/nowhere'), /No area found matching "xx\/nowhere"/);
+        await assert.rejects(resolver.resolveArea('xx/nowhere'), InvalidQueryError);
+    });
+
+    it('lists the candidates instead of guessing when no name matches exactly', async () => {
+        const client = { query: async () => ({ search: [
+            { searchType: 'AREA', id: '13', value: 'London', countryName: 'United Kingdom' },
+            { searchType: 'AREA', id: '566', value: 'London (Ontario)', countryName: 'Canada' }
+        ] }) };
+        const resolver = new IdResolver(path.join(tempDir(), 'id-cache.json'), client);
+
+        await assert.rejects(resolver.resolveArea('londn'), (error) => {
+            assert.match(error.message, /No area named "londn"/);
+            assert.match(error.message, /London \(United Kingdom\): 13/);
+            assert.match(error.message, /London \(Ontario\) \(Canada\): 566/);
+            return true;
+        });
+    });
+
+    it('searches for an artist when the slug lookup fails', async () => {
+        const operations = [];
+        const client = {
+            query: async (payload) => {
+                operations.push(payload.operationName);
+                if (payload.operationName === 'GET_ARTIST_BY_SLUG') {
+                    throw new Error('Internal server error');
+                }
+                return { search: [{ searchType: 'ARTIST', id: '44361', value: 'Rival Consoles' }] };
+            }
+        };
+        const resolver = new IdResolver(path.join(tempDir(), 'id-cache.json'), client);
+
+        assert.equal(await resolver.resolveArtist('rivalconsoles'), '44361');
+        assert.deepEqual(operations, ['GET_ARTIST_BY_SLUG', 'GET_GLOBAL_SEARCH_RESULTS']);
+    });
+});
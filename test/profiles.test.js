@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { findConfigFile, loadConfig, getProfile } = require('../profiles');
+const { tempDir } = require('./helpers');
+
+/**
+ * Write a config file to a new temporary directory.
+ * @param {string} name - The file name.
+ * @param {Object} config - The config.
+ * @returns {string} The file path.
+ */
+function writeConfig(name, config) {
+    const file = path.join(tempDir(), name);
+    fs.writeFileSync(file, JSON.stringify(config));
+    return file;
+}
+
+describe('config files', () => {
+    it('finds the first config file in the given directories', () => {
+        const file = writeConfig('raco.config.json', { profiles: {} });
+        const other = writeConfig('.racorc', { profiles: {} });
+
+        assert.equal(findConfigFile([tempDir(), path.dirname(file), path.dirname(other)]), file);
+        assert.equal(findConfigFile([tempDir()]), null);
+    });
+
+    it('fails on missing or malformed config files', () => {
+        assert.throws(() => loadConfig(null), /No config file found/);
+        assert.throws(() => loadConfig(writeConfig('.racorc', { london: {} })), /has no "profiles" object/);
+
+        const file = path.join(tempDir(), '.racorc');
+        fs.writeFileSync(file, '{"profiles": {');
+        assert.throws(() => loadConfig(file), /Could not read config file/);
+    });
+});
+
+describe('getProfile', () => {
+    const config = loadConfig(writeConfig('.racorc', {
+        defaults: { rate: 0.5, from: 'today', format: 'ndjson' },
+        profiles: {
+            'london-techno': { areas: ['london', 'uk/bristol'], genres: ['techno'], dates: 'this-weekend', output: 'weekend.ics', format: 'ics' },
+            'tracked-artists': { artists: [1013, 44361], to: '+30d', pages: 'all' },
+            'typo': { artist: 1013, ouput: 'events.json' }
+        }
+    }));
+
+    it('maps profile keys to command line options, over the defaults', () => {
+        assert.deepEqual(getProfile(config, 'london-techno'), {
+            rate: 0.5,
+            format: 'ics',
+            area: ['london', 'uk/bristol'],
+            genre: ['techno'],
+            dates: 'this-weekend',
+            output: 'weekend.ics'
+        });
+        assert.deepEqual(getProfile(config, 'tracked-artists'), {
+            rate: 0.5,
+            gte: 'today',
+            format: 'ndjson',
+            artist: [1013, 44361],
+            lte: '+30d',
+            pages: Infinity
+        });
+    });
+
+    it('rejects unknown profiles and keys', () => {
+        assert.throws(() => getProfile(config, 'berlin'), /No profile "berlin".*Available profiles: london-techno, tracked-artists, typo/);
+        assert.throws(() => getProfile(config, 'typo'), /Unknown key "ouput" in profile "typo"/);
+    });
+
+    it('does not take inherited properties for profiles or keys', () => {
+        assert.throws(() => getProfile(config, 'constructor'), /No profile "constructor"/);
+        assert.throws(() => getProfile(config, 'toString'), /No profile "toString"/);
+
+        const inherited = loadConfig(writeConfig('.racorc', { profiles: { weird: { area: 13, toString: 'x', constructor: 'y' } } }));
+        assert.throws(() => getProfile(inherited, 'weird'), /Unknown key "toString" in profile "weird"/);
+    });
+});
@@ -0,0 +1,99 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { GraphQLClient } = require('../graphqlClient');
+const { canonicalJson, fixtureName, loadFixtures, createRecordingTransport, createReplayTransport } = require('../recorder');
+const { startMockServer } = require('../mockServer');
+const { createClient } = require('../client');
+const { FIXTURE_DIR, WEEK, fixtures, tempDir, scriptedTransport } = require('./helpers');
+
+const execFileAsync = promisify(execFile);
+const PAYLOAD = { operationName: 'GET_AREA', variables: { countryUrlCode: 'nl', areaUrlName: 'utrecht' }, query: '{}' };
+
+describe('fixture names', () => {
+    it('ignore key order and the query text', () => {
+        const reordered = { operationName: 'GET_AREA', variables: { areaUrlName: 'utrecht', countryUrlCode: 'nl' }, query: 'other' };
+
+        assert.equal(canonicalJson({ b: 1, a: [{ d: 2, c: 3 }] }), '{"a":[{"c":3,"d":2}],"b":1}');
+        assert.equal(fixtureName(reordered), fixtureName(PAYLOAD));
+        assert.match(fixtureName(PAYLOAD), /^GET_AREA-[0-9a-f]{12}\.json$/);
+    });
+
+    it('match the recorded fixture files', () => {
+        for (const [file, fixture] of fixtures) {
+            assert.equal(fixtureName(fixture.request), file);
+        }
+    });
+});
+
+describe('record and replay', () => {
+    it('replays what was recorded', async () => {
+        const directory = tempDir();
+        const data = { data: { area: { id: '1311', name: 'Utrecht' } } };
+        const live = scriptedTransport([{ status: 200, data }]);
+
+        const recording = new GraphQLClient({ transport: createRecordingTransport(directory, live) });
+        assert.deepEqual(await recording.query(PAYLOAD), data.data);
+
+        const saved = loadFixtures(directory).get(fixtureName(PAYLOAD));
+        assert.deepEqual(saved, { request: { operationName: 'GET_AREA', variables: PAYLOAD.variables }, response: { status: 200, data } });
+
+        const replaying = new GraphQLClient({ transport: createReplayTransport(directory) });
+        assert.deepEqual(await replaying.query(PAYLOAD), data.data);
+    });
+
+    it('answers unknown requests with a 404 naming the fixture', async () => {
+        const response = await createReplayTransport(new Map())({ payload: PAYLOAD });
+
+        assert.equal(response.status, 404);
+        assert.match(response.data.errors[0].message, /No recorded response for GET_AREA \(GET_AREA-/);
+    });
+});
+
+describe('mock server', () => {
+    let server;
+    let url;
+
+    before(async () => {
+        ({ server, url } = await startMockServer(FIXTURE_DIR, 0));
+    });
+
+    after(() => {
+        server.close();
+    });
+
+    it('serves recorded responses over HTTP', async () => {
+        const client = createClient({ url, rate: 1000, burst: 1000, retries: 0, cacheFile: path.join(tempDir(), 'id-cache.json') });
+        const result = await client.fetchAll({ area: 13, ...WEEK });
+
+        assert.equal(result.events.length, 23);
+    });
+
+    it('runs the command line tool offline', async () => {
+        const directory = tempDir();
+        const outputFile = path.join(directory, 'events.csv');
+        const recordDir = path.join(directory, 'recorded');
+
+        await execFileAsync(process.execPath, [
+            path.join(__dirname, '..', 'eventFetcher.js'),
+            '-r', '13', '-gte', WEEK.from, '-lte', WEEK.to, '-p', 'all', '--rate', '100',
+            '-o', outputFile, '--record', recordDir
+        ], { env: { ...process.env, RA_GRAPHQL_URL: url }, timeout: 30000 });
+
+        const rows = fs.readFileSync(outputFile, 'utf8').trim().split('\n');
+        assert.equal(rows.length, 24);
+        // Re-recording against the mock gives back the same fixtures
+        for (const [file, fixture] of loadFixtures(recordDir)) {
+            assert.deepEqual(fixture, fixtures.get(file));
+        }
+    });
+
+    it('rejects requests that are not GraphQL posts', async () => {
+        const response = await fetch(url);
+
+        assert.equal(response.status, 405);
+    });
+});
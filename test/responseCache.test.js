@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const ResponseCache = require('../responseCache');
+const { tempDir } = require('./helpers');
+
+describe('ResponseCache', () => {
+    it('serves fresh entries from the cache and recomputes expired ones', async (t) => {
+        t.mock.timers.enable({ apis: ['Date'], now: 0 });
+        const cache = new ResponseCache({ ttl: 1000 });
+        let computed = 0;
+        const compute = async () => ++computed;
+
+        assert.deepEqual(await cache.get('a', compute), { value: 1, status: 'MISS', storedAt: 0 });
+        t.mock.timers.tick(999);
+        assert.equal((await cache.get('a', compute)).status, 'HIT');
+        t.mock.timers.tick(1);
+        assert.deepEqual(await cache.get('a', compute), { value: 2, status: 'MISS', storedAt: 1000 });
+    });
+
+    it('shares one computation between concurrent requests', async () => {
+        const cache = new ResponseCache();
+        let computed = 0;
+        const compute = () => new Promise(resolve => setImmediate(() => resolve(++computed)));
+
+        const results = await Promise.all([cache.get('a', compute), cache.get('a', compute), cache.get('b', compute)]);
+
+        assert.deepEqual(results.map(result => result.value), [1, 1, 2]);
+    });
+
+    it('falls back on an expired entry when recomputing fails', async () => {
+        const cache = new ResponseCache({ ttl: 0 });
+        await cache.get('a', async () => 'old');
+
+        const result = await cache.get('a', async () => {
+            throw new Error('RA.co is down');
+        });
+        assert.equal(result.value, 'old');
+        assert.equal(result.status, 'STALE');
+        assert.equal(result.error.message, 'RA.co is down');
+        await assert.rejects(cache.get('b', async () => {
+            throw new Error('RA.co is down');
+        }), /RA.co is down/);
+    });
+
+    it('keeps entries on disk and drops the oldest beyond the limit', async () => {
+        const file = path.join(tempDir(), 'cache.json');
+        const cache = new ResponseCache({ file, maxEntries: 2 });
+        for (const key of ['a', 'b', 'c']) {
+            await cache.get(key, async () => key.toUpperCase());
+        }
+
+        const reloaded = new ResponseCache({ file });
+        assert.deepEqual(Array.from(reloaded.entries.keys()), ['b', 'c']);
+        assert.equal((await reloaded.get('c', async () => assert.fail('should be cached'))).value, 'C');
+    });
+});
@@ -0,0 +1,142 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { GraphQLClient, loadTemplate } = require('../graphqlClient');
+const TemplateDoctor = require('../templateDoctor');
+const { FIXTURE_DIR, fixtures, scriptedTransport, tempDir } = require('./helpers');
+
+/**
+ * Create a client that answers every request with the fixture response for the same operation,
+ * whatever its variables, optionally changed by a callback first.
+ * @param {Function} change - Called with the operation name and a copy of the response data.
+ * @returns {GraphQLClient} The client.
+ */
+function operationClient(change = () => {}) {
+    const transport = async ({ payload }) => {
+        const fixture = Array.from(fixtures.values()).find(item => item.request.operationName === payload.operationName);
+        const data = JSON.parse(JSON.stringify(fixture.response.data));
+        change(payload.operationName, data);
+        return { status: fixture.response.status, headers: {}, data };
+    };
+    return new GraphQLClient({ transport, retries: 0, rate: 1000, burst: 1000 });
+}
+
+/**
+ * Get the errors reported for a template.
+ * @param {Array<Object>} results - The doctor results.
+ * @param {string} template - The template file name.
+ * @returns {Array<string>} The error messages.
+ */
+function errorsFor(results, template) {
+    return results.find(result => result.template === template).problems
+        .filter(problem => problem.level === 'error')
+        .map(problem => problem.message);
+}
+
+describe('TemplateDoctor.checkPayload', () => {
+    const doctor = new TemplateDoctor({ baseline: null });
+
+    it('passes the payloads built from the current templates', async () => {
+        const results = await doctor.run({ probe: false });
+
+        assert.equal(results.length, 9);
+        assert.deepEqual(results.flatMap(result => result.problems), []);
+    });
+
+    it('reports unfilled placeholders and unset required variables', () => {
+        const payload = loadTemplate('graphql_query_template_artist.json');
+        assert.deepEqual(doctor.checkPayload(payload).map(problem => problem.message).slice(0, 2), [
+            'unfilled placeholder __ARTIST_ID__ in variables.filters[0].value',
+            'unfilled placeholder __START_DATE__ in variables.filters[1].value'
+        ]);
+
+        const detail = loadTemplate('graphql_query_template_event.json');
+        delete detail.variables.id;
+        assert.deepEqual(doctor.checkPayload(detail).map(problem => problem.message), ['required variable $id (ID!) is not set']);
+    });
+
+    it('reports variables and names that do not match the query', () => {
+        const problems = doctor.checkPayload({
+            operationName: 'GET_EVENT',
+            variables: { id: '1', page: 2 },
+            query: 'query GET_EVENT_DETAIL($id: ID!) { event(id: $id, area: $area) { id } }'
+        });
+
+        assert.deepEqual(problems, [
+            { level: 'error', message: 'operationName is "GET_EVENT" but the query is named "GET_EVENT_DETAIL"' },
+            { level: 'error', message: 'variable $area is used but not declared' },
+            { level: 'warning', message: 'variable page is sent but not declared by the query' }
+        ]);
+    });
+});
+
+describe('TemplateDoctor.run', () => {
+    it('probes every template and checks the selected fields', async () => {
+        const client = operationClient();
+        const sent = [];
+        const query = client.query.bind(client);
+        client.query = (payload, options) => {
+            sent.push(payload);
+            return query(payload, options);
+        };
+
+        const results = await new TemplateDoctor({ client }).run();
+
+        assert.deepEqual(results.flatMap(result => errorsFor(results, result.template)), []);
+        assert.ok(results.every(result => result.probed && result.checkedFields > 0));
+        assert.ok(sent.filter(payload => payload.variables.pageSize !== undefined).every(payload => payload.variables.pageSize === 1));
+        // The event detail probe uses an event from the area listing
+        assert.equal(sent.at(-1).variables.id, '2200000');
+    });
+
+    it('reports fields that disappeared or changed type in the response', async () => {
+        const client = operationClient((operationName, body) => {
+            if (operationName === 'GET_EVENT_LISTINGS') {
+                for (const { event } of body.data.eventListings.data) {
+                    delete event.title;
+                    event.attending = String(event.attending);
+                    event.venue = 'Fabric';
+                }
+            }
+        });
+        const results = await new TemplateDoctor({ client, baseline: FIXTURE_DIR }).run();
+
+        assert.deepEqual(errorsFor(results, 'graphql_query_template.json'), [
+            'missing field eventListings.data[].event.title',
+            'type changed: eventListings.data[].event.attending was number, now string',
+            'type changed: eventListings.data[].event.venue was an object, now string'
+        ]);
+
+        // Without a baseline, scalar type changes can't be told apart from what RA.co always returned
+        const unchecked = await new TemplateDoctor({ client }).run();
+        assert.deepEqual(errorsFor(unchecked, 'graphql_query_template.json'), [
+            'missing field eventListings.data[].event.title',
+            'type changed: eventListings.data[].event.venue was an object, now string'
+        ]);
+    });
+
+    it('fails on a baseline directory that does not exist', () => {
+        assert.throws(() => new TemplateDoctor({ baseline: path.join(tempDir(), 'missing') }), /Baseline directory .* not found/);
+    });
+
+    it('explains schema errors returned by RA.co', async () => {
+        const transport = scriptedTransport([{
+            status: 400,
+            data: {
+                errors: [
+                    { message: 'Cannot query field "attending" on type "Event".' },
+                    { message: 'Field "images" must not have a selection since type "String" has no subfields.' },
+                    { message: 'Something else went wrong.' }
+                ]
+            }
+        }]);
+        const client = new GraphQLClient({ transport, retries: 0, rate: 1000, burst: 1000 });
+        const results = await new TemplateDoctor({ client }).run();
+
+        assert.deepEqual(errorsFor(results, 'graphql_query_template_venue.json'), [
+            'field Event.attending no longer exists',
+            'field images changed type to String, which has no subfields',
+            'RA.co rejected the query: Something else went wrong.'
+        ]);
+    });
+});
@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { AREA_TIMEZONES, COUNTRY_TIMEZONES, areaTimezone, isValidTimezone } = require('../timezones');
+
+describe('areaTimezone', () => {
+    it('uses the timezone of the country', () => {
+        assert.equal(areaTimezone({ urlName: 'london', country: { urlCode: 'UK' } }), 'Europe/London');
+        assert.equal(areaTimezone({ urlName: 'berlin', country: { urlCode: 'de' } }), 'Europe/Berlin');
+    });
+
+    it('knows areas outside their country default', () => {
+        assert.equal(areaTimezone({ urlName: 'losangeles', country: { urlCode: 'US' } }), 'America/Los_Angeles');
+        assert.equal(areaTimezone({ urlName: 'newyork', country: { urlCode: 'US' } }), 'America/New_York');
+        assert.equal(areaTimezone({ urlName: 'perth', country: { urlCode: 'AU' } }), 'Australia/Perth');
+    });
+
+    it('gives null for unlisted areas of countries with several timezones', () => {
+        assert.equal(areaTimezone({ urlName: 'nashville', country: { urlCode: 'US' } }), null);
+        assert.equal(areaTimezone({ urlName: 'halifax', country: { urlCode: 'CA' } }), null);
+        assert.equal(areaTimezone({ urlName: 'barcelona', country: { urlCode: 'ES' } }), 'Europe/Madrid');
+    });
+
+    it('gives null for unknown countries', () => {
+        assert.equal(areaTimezone({ urlName: 'somewhere', country: { urlCode: 'XX' } }), null);
+        assert.equal(areaTimezone({ name: 'No country' }), null);
+        assert.equal(areaTimezone(null), null);
+    });
+
+    it('only maps to timezones the runtime knows', () => {
+        assert.ok(Object.values(COUNTRY_TIMEZONES).every(isValidTimezone));
+        assert.ok(Object.values(AREA_TIMEZONES).every(isValidTimezone));
+        assert.equal(isValidTimezone('Mars/Olympus'), false);
+    });
+});
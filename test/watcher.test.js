@@ -0,0 +1,158 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const Watcher = require('../watcher');
+const EventStore = require('../eventStore');
+const { WebhookNotifier, CommandNotifier, FileNotifier } = require('../notifiers');
+const { tempDir } = require('./helpers');
+
+/**
+ * Create a watcher over one query whose results change from poll to poll.
+ * @param {Array<Array<string>>} polls - The event IDs returned by each poll.
+ * @param {EventStore} store - The store to watch with. (default: a new, empty one)
+ * @returns {{watcher: Watcher, notified: Array}} The watcher and the notifications it sent.
+ */
+function scriptedWatcher(polls, store = new EventStore(path.join(tempDir(), 'store.jsonl'))) {
+    const notified = [];
+    let poll = 0;
+    const watcher = new Watcher({
+        queries: [{ name: 'london' }],
+        interval: 60,
+        notifiers: [{ notify: async (record, queryName) => notified.push([queryName, record.id]) }],
+        store,
+        fetchQuery: async () => ({
+            records: polls[poll++].map(id => ({ id, title: `Event ${id}`, date: '2025-09-05T00:00:00.000' })),
+            queryKey: 'london',
+            truncated: false
+        })
+    });
+    return { watcher, notified };
+}
+
+describe('Watcher', () => {
+    it('seeds on the first poll and notifies about new events after that', async (t) => {
+        t.mock.method(console, 'log', () => {});
+        const { watcher, notified } = scriptedWatcher([['1', '2'], ['1', '2', '3'], ['3', '4']]);
+
+        assert.deepEqual(await watcher.poll(), []);
+        assert.deepEqual((await watcher.poll()).map(record => record.id), ['3']);
+        assert.deepEqual((await watcher.poll()).map(record => record.id), ['4']);
+        assert.deepEqual(notified, [['london', '3'], ['london', '4']]);
+    });
+
+    it('notifies about the first event of a query that started out empty', async (t) => {
+        t.mock.method(console, 'log', () => {});
+        const { watcher, notified } = scriptedWatcher([[], ['1']]);
+
+        await watcher.poll();
+        await watcher.poll();
+        assert.deepEqual(notified, [['london', '1']]);
+    });
+
+    it('notifies about an event that another query already stored', async (t) => {
+        t.mock.method(console, 'log', () => {});
+        const store = new EventStore(path.join(tempDir(), 'store.jsonl'));
+        store.sync([{ id: '2', title: 'Event 2', date: '2025-09-05T00:00:00.000' }], { queryKey: 'berlin' });
+        const { watcher, notified } = scriptedWatcher([['1'], ['1', '2']], store);
+
+        await watcher.poll();
+        await watcher.poll();
+        assert.deepEqual(notified, [['london', '2']]);
+    });
+
+    it('notifies again about events whose notifications failed', async (t) => {
+        t.mock.method(console, 'log', () => {});
+        t.mock.method(console, 'error', () => {});
+        const { watcher, notified } = scriptedWatcher([['1'], ['1', '2'], ['1', '2'], ['1', '2']]);
+        const notifier = watcher.notifiers[0];
+        let failures = 1;
+        watcher.notifiers = [{
+            notify: async (record, queryName) => {
+                if (failures-- > 0) throw new Error('webhook is down');
+                return notifier.notify(record, queryName);
+            }
+        }];
+
+        await watcher.poll();
+        assert.deepEqual((await watcher.poll()).map(record => record.id), ['2']);
+        assert.deepEqual(notified, []);
+        assert.equal(watcher.store.hasForQuery('2', 'london'), false);
+        assert.deepEqual((await watcher.poll()).map(record => record.id), ['2']);
+        assert.deepEqual((await watcher.poll()).map(record => record.id), []);
+        assert.deepEqual(notified, [['london', '2']]);
+    });
+
+    it('keeps its own store apart from the sync store', () => {
+        assert.notEqual(Watcher.DEFAULT_STORE_FILE, EventStore.DEFAULT_STORE_FILE);
+    });
+});
+
+describe('WebhookNotifier', () => {
+    it('POSTs the event as JSON', async (t) => {
+        const received = [];
+        const server = http.createServer((request, response) => {
+            let body = '';
+            request.on('data', chunk => body += chunk);
+            request.on('end', () => {
+                received.push({ method: request.method, type: request.headers['content-type'], body: JSON.parse(body) });
+                response.end();
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        t.after(() => server.close());
+
+        await new WebhookNotifier(`http://127.0.0.1:${server.address().port}/hook`).notify({ id: '1' }, 'london');
+
+        assert.equal(received.length, 1);
+        assert.equal(received[0].method, 'POST');
+        assert.match(received[0].type, /application\/json/);
+        assert.deepEqual(received[0].body, { type: 'event.added', query: 'london', event: { id: '1' } });
+    });
+
+    it('fails when the webhook answers with an error', async (t) => {
+        const server = http.createServer((request, response) => {
+            response.statusCode = 500;
+            response.end();
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        t.after(() => server.close());
+
+        await assert.rejects(new WebhookNotifier(`http://127.0.0.1:${server.address().port}/hook`).notify({ id: '1' }, 'london'), /500/);
+    });
+});
+
+describe('CommandNotifier', () => {
+    it('runs the command with the event on stdin and the query name in RACO_QUERY', async () => {
+        const directory = tempDir();
+        const script = path.join(directory, 'notify.js');
+        fs.writeFileSync(script, [
+            "let input = '';",
+            "process.stdin.on('data', chunk => input += chunk).on('end', () => {",
+            "    const notification = { query: process.env.RACO_QUERY, event: JSON.parse(input) };",
+            "    require('fs').writeFileSync(process.argv[2], JSON.stringify(notification));",
+            '});'
+        ].join('\n'));
+        const file = path.join(directory, 'notified.json');
+        await new CommandNotifier(`"${process.execPath}" "${script}" "${file}"`).notify({ id: '1' }, 'london');
+
+        assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { query: 'london', event: { id: '1' } });
+    });
+
+    it('fails when the command exits with an error', async () => {
+        await assert.rejects(new CommandNotifier(`"${process.execPath}" -e "process.exit(3)"`).notify({ id: '1' }, 'london'), /exited with code 3/);
+    });
+});
+
+describe('FileNotifier', () => {
+    it('appends one JSON line per event', async () => {
+        const file = path.join(tempDir(), 'new-events.ndjson');
+        const notifier = new FileNotifier(file);
+        await notifier.notify({ id: '1' }, 'london');
+        await notifier.notify({ id: '2' }, 'london');
+
+        const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        assert.deepEqual(lines.map(line => [line.query, line.event.id]), [['london', '1'], ['london', '2']]);
+    });
+});
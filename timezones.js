@@ -0,0 +1,194 @@
+/**
+ * The IANA timezones of RA.co areas, for working out "today" and event start times where the venue is.
+ * Most countries have a single timezone. For the ones that span several, the larger RA.co areas are listed by
+ * their URL name and the rest are unknown, rather than guessed.
+ */
+
+// Keyed by the country code RA.co uses in URLs, upper-cased ("UK" rather than "GB")
+const COUNTRY_TIMEZONES = {
+    AE: 'Asia/Dubai',
+    AR: 'America/Argentina/Buenos_Aires',
+    AT: 'Europe/Vienna',
+    AU: 'Australia/Sydney',
+    BA: 'Europe/Sarajevo',
+    BE: 'Europe/Brussels',
+    BG: 'Europe/Sofia',
+    BR: 'America/Sao_Paulo',
+    CA: 'America/Toronto',
+    CH: 'Europe/Zurich',
+    CL: 'America/Santiago',
+    CN: 'Asia/Shanghai',
+    CO: 'America/Bogota',
+    CY: 'Asia/Nicosia',
+    CZ: 'Europe/Prague',
+    DE: 'Europe/Berlin',
+    DK: 'Europe/Copenhagen',
+    EE: 'Europe/Tallinn',
+    ES: 'Europe/Madrid',
+    FI: 'Europe/Helsinki',
+    FR: 'Europe/Paris',
+    GE: 'Asia/Tbilisi',
+    GR: 'Europe/Athens',
+    HK: 'Asia/Hong_Kong',
+    HR: 'Europe/Zagreb',
+    HU: 'Europe/Budapest',
+    ID: 'Asia/Jakarta',
+    IE: 'Europe/Dublin',
+    IL: 'Asia/Jerusalem',
+    IN: 'Asia/Kolkata',
+    IS: 'Atlantic/Reykjavik',
+    IT: 'Europe/Rome',
+    JP: 'Asia/Tokyo',
+    KR: 'Asia/Seoul',
+    LB: 'Asia/Beirut',
+    LT: 'Europe/Vilnius',
+    LU: 'Europe/Luxembourg',
+    LV: 'Europe/Riga',
+    MA: 'Africa/Casablanca',
+    ME: 'Europe/Podgorica',
+    MT: 'Europe/Malta',
+    MX: 'America/Mexico_City',
+    MY: 'Asia/Kuala_Lumpur',
+    NL: 'Europe/Amsterdam',
+    NO: 'Europe/Oslo',
+    NZ: 'Pacific/Auckland',
+    PE: 'America/Lima',
+    PH: 'Asia/Manila',
+    PL: 'Europe/Warsaw',
+    PT: 'Europe/Lisbon',
+    RO: 'Europe/Bucharest',
+    RS: 'Europe/Belgrade',
+    RU: 'Europe/Moscow',
+    SE: 'Europe/Stockholm',
+    SG: 'Asia/Singapore',
+    SI: 'Europe/Ljubljana',
+    SK: 'Europe/Bratislava',
+    TH: 'Asia/Bangkok',
+    TR: 'Europe/Istanbul',
+    TW: 'Asia/Taipei',
+    UA: 'Europe/Kyiv',
+    UK: 'Europe/London',
+    US: 'America/New_York',
+    UY: 'America/Montevideo',
+    VN: 'Asia/Ho_Chi_Minh',
+    ZA: 'Africa/Johannesburg'
+};
+
+// Countries whose mainland spans several timezones: only the areas listed below have a known timezone
+const MULTI_TIMEZONE_COUNTRIES = new Set(['AU', 'BR', 'CA', 'ID', 'MX', 'RU', 'US']);
+
+// Areas of multi-timezone countries, and islands outside their country's timezone, keyed by
+// "<country code>/<area URL name>"
+const AREA_TIMEZONES = {
+    'AU/adelaide': 'Australia/Adelaide',
+    'AU/brisbane': 'Australia/Brisbane',
+    'AU/canberra': 'Australia/Sydney',
+    'AU/darwin': 'Australia/Darwin',
+    'AU/melbourne': 'Australia/Melbourne',
+    'AU/perth': 'Australia/Perth',
+    'AU/sydney': 'Australia/Sydney',
+    'AU/tasmania': 'Australia/Hobart',
+    'BR/manaus': 'America/Manaus',
+    'BR/riodejaneiro': 'America/Sao_Paulo',
+    'BR/saopaulo': 'America/Sao_Paulo',
+    'CA/alberta': 'America/Edmonton',
+    'CA/calgary': 'America/Edmonton',
+    'CA/britishcolumbia': 'America/Vancouver',
+    'CA/montreal': 'America/Toronto',
+    'CA/ottawa': 'America/Toronto',
+    'CA/toronto': 'America/Toronto',
+    'CA/vancouver': 'America/Vancouver',
+    'CA/winnipeg': 'America/Winnipeg',
+    'ES/canaryislands': 'Atlantic/Canary',
+    'ID/bali': 'Asia/Makassar',
+    'ID/jakarta': 'Asia/Jakarta',
+    'MX/cancun': 'America/Cancun',
+    'MX/guadalajara': 'America/Mexico_City',
+    'MX/mexicocity': 'America/Mexico_City',
+    'MX/monterrey': 'America/Monterrey',
+    'MX/tijuana': 'America/Tijuana',
+    'MX/tulum': 'America/Cancun',
+    'PT/azores': 'Atlantic/Azores',
+    'RU/moscow': 'Europe/Moscow',
+    'RU/novosibirsk': 'Asia/Novosibirsk',
+    'RU/stpetersburg': 'Europe/Moscow',
+    'RU/vladivostok': 'Asia/Vladivostok',
+    'RU/yekaterinburg': 'Asia/Yekaterinburg',
+    'US/arizona': 'America/Phoenix',
+    'US/atlanta': 'America/New_York',
+    'US/austin': 'America/Chicago',
+    'US/baltimore': 'America/New_York',
+    'US/boston': 'America/New_York',
+    'US/chicago': 'America/Chicago',
+    'US/dallas': 'America/Chicago',
+    'US/denver': 'America/Denver',
+    'US/detroit': 'America/Detroit',
+    'US/hawaii': 'Pacific/Honolulu',
+    'US/houston': 'America/Chicago',
+    'US/lasvegas': 'America/Los_Angeles',
+    'US/losangeles': 'America/Los_Angeles',
+    'US/miami': 'America/New_York',
+    'US/minneapolis': 'America/Chicago',
+    'US/neworleans': 'America/Chicago',
+    'US/newyork': 'America/New_York',
+    'US/philadelphia': 'America/New_York',
+    'US/phoenix': 'America/Phoenix',
+    'US/portland': 'America/Los_Angeles',
+    'US/saltlakecity': 'America/Denver',
+    'US/sandiego': 'America/Los_Angeles',
+    'US/sanfrancisco': 'America/Los_Angeles',
+    'US/seattle': 'America/Los_Angeles',
+    'US/washingtondc': 'America/New_York'
+};
+
+/**
+ * Get the timezone of an RA.co area.
+ * @param {Object} area - The area, with its `urlName` and `country.urlCode` (as in Event.venueDetails.area).
+ * @returns {string|null} The IANA timezone (e.g. "Europe/London"), or null if it isn't known, e.g. for an area not
+ *          listed in a country with several timezones.
+ */
+function areaTimezone(area) {
+    const countryCode = area?.country?.urlCode ? area.country.urlCode.toUpperCase() : null;
+    if (!countryCode) {
+        return null;
+    }
+    const urlName = area.urlName ? area.urlName.toLowerCase() : null;
+    const key = `${countryCode}/${urlName}`;
+    if (Object.prototype.hasOwnProperty.call(AREA_TIMEZONES, key)) {
+        return AREA_TIMEZONES[key];
+    }
+    if (MULTI_TIMEZONE_COUNTRIES.has(countryCode) || !Object.prototype.hasOwnProperty.call(COUNTRY_TIMEZONES, countryCode)) {
+        return null;
+    }
+    return COUNTRY_TIMEZONES[countryCode];
+}
+
+/**
+ * Check that a timezone name is one the runtime knows.
+ * @param {string} timeZone - The timezone, e.g. "Australia/Sydney" or "UTC".
+ * @returns {boolean} True if it can be used.
+ */
+function isValidTimezone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return typeof timeZone === 'string' && timeZone.length > 0;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Get the timezone of this machine.
+ * @returns {string} The IANA timezone, "UTC" if the runtime can't tell.
+ */
+function systemTimezone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+module.exports = {
+    AREA_TIMEZONES,
+    COUNTRY_TIMEZONES,
+    areaTimezone,
+    isValidTimezone,
+    systemTimezone
+};
@@ -0,0 +1,144 @@
+// Kept apart from the sync store, so a sync run can't mark events as seen before the watch notifies about them
+const DEFAULT_STORE_FILE = 'watch-store.jsonl';
+
+class Watcher {
+    /**
+     * A class to poll a set of saved queries on a schedule and notify about events that haven't been seen before.
+     * The first poll of a query only seeds the store, so starting a watch doesn't fire a notification per existing event.
+     * Events are new per query: one that another query already found is still notified for this one.
+     * An event is only recorded for a query once a notifier got it through, so events whose notifications all
+     * failed are notified again on the next poll.
+     * @param {Object} options - Watcher options.
+     * @param {Array<Object>} options.queries - The queries to poll. Each has a `name` plus the CLI query options (area, artist, ...).
+     * @param {number} options.interval - Minutes between polls.
+     * @param {Array<Object>} options.notifiers - Notifiers with a `notify(record, queryName)` method.
+     * @param {EventStore} options.store - The store used to remember seen events.
+     * @param {Function} options.fetchQuery - Fetches a query; resolves to {records, queryKey, from, to, truncated}.
+     */
+    constructor({ queries, interval, notifiers, store, fetchQuery }) {
+        this.queries = queries;
+        this.interval = interval;
+        this.notifiers = notifiers;
+        this.store = store;
+        this.fetchQuery = fetchQuery;
+        this.seededQueries = new Set();
+        this.stopped = false;
+        this.timer = null;
+        this.wakeUp = null;
+    }
+
+    /**
+     * Poll every query until stop() is called.
+     */
+    async start() {
+        while (!this.stopped) {
+            await this.poll();
+            if (this.stopped) {
+                break;
+            }
+
+            console.log(`Next poll in ${this.interval} minute(s).`);
+            await this.wait(this.interval * 60 * 1000);
+        }
+    }
+
+    /**
+     * Stop watching after the current poll.
+     */
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+        if (this.wakeUp) {
+            this.wakeUp();
+        }
+    }
+
+    /**
+     * Poll every query once and save the store.
+     * A failing query is logged and skipped, so one bad poll doesn't end the watch.
+     * @returns {Promise<Array>} The new event records found by this poll.
+     */
+    async poll() {
+        const newRecords = [];
+
+        for (const query of this.queries) {
+            try {
+                newRecords.push(...await this.checkQuery(query));
+            } catch (error) {
+                console.error(`[${query.name}] Poll failed: ${error.message}`);
+            }
+        }
+
+        this.store.save();
+        return newRecords;
+    }
+
+    /**
+     * Fetch a query, notify about unseen events and record the ones notified in the store.
+     * @param {Object} query - The query to check.
+     * @returns {Promise<Array>} The new event records.
+     */
+    async checkQuery(query) {
+        const { records, queryKey, from, to, truncated } = await this.fetchQuery(query);
+        // Seed only on this watcher's first poll of a query that has nothing stored yet; a query that
+        // first came back empty must still notify once its first event shows up
+        const seeding = !this.seededQueries.has(queryKey) && !this.store.hasQuery(queryKey);
+        this.seededQueries.add(queryKey);
+        const syncOptions = { queryKey, from, to, detectRemovals: !truncated };
+
+        if (seeding) {
+            this.store.sync(records, syncOptions);
+            console.log(`[${query.name}] Seeded ${records.length} events, notifying about new events from the next poll on.`);
+            return [];
+        }
+
+        const newRecords = records.filter(record => !this.store.hasForQuery(record.id, queryKey));
+        console.log(`[${query.name}] ${newRecords.length} new event(s).`);
+        const failed = new Set();
+        for (const record of newRecords) {
+            if (!await this.notify(record, query.name)) {
+                failed.add(record);
+            }
+        }
+        if (failed.size > 0) {
+            console.error(`[${query.name}] ${failed.size} event(s) not notified, retrying on the next poll.`);
+        }
+
+        this.store.sync(records.filter(record => !failed.has(record)), syncOptions);
+        return newRecords;
+    }
+
+    /**
+     * Send a notification through every notifier. Failures are logged, not thrown.
+     * @param {Object} record - The new event record.
+     * @param {string} queryName - The name of the query that found it.
+     * @returns {Promise<boolean>} True if at least one notifier succeeded, or there are none.
+     */
+    async notify(record, queryName) {
+        let delivered = this.notifiers.length === 0;
+        for (const notifier of this.notifiers) {
+            try {
+                await notifier.notify(record, queryName);
+                delivered = true;
+            } catch (error) {
+                console.error(`[${queryName}] Notification via ${notifier} failed for event ${record.id}: ${error.message}`);
+            }
+        }
+        return delivered;
+    }
+
+    /**
+     * Wait for the given time, or until stop() is called.
+     * @param {number} ms - Milliseconds to wait.
+     * @returns {Promise} A promise that resolves after the wait.
+     */
+    wait(ms) {
+        return new Promise(resolve => {
+            this.wakeUp = resolve;
+            this.timer = setTimeout(resolve, ms);
+        });
+    }
+}
+
+module.exports = Watcher;
+module.exports.DEFAULT_STORE_FILE = DEFAULT_STORE_FILE;